@@ -3,9 +3,21 @@
  * It takes input from the environment such as the position of the flappy bird,
  * the tubes etc and responds back with the appropriate action to take.
  * 
+ * The model is wrapped in an Agent, which holds its own Q-table, parameters and
+ * frame buffer, so that several agents can be trained side by side, be it in the
+ * page or headless in Node.
+ * 
  * Author @nellex
  */
 
+if (typeof module !== "undefined" && module.exports) {
+  var Exploration = require("./exploration.js").Exploration;
+  var Learner = require("./learners.js").Learner;
+  var StateEncoder = require("./encoding.js").StateEncoder;
+  var getTargetTubeIndex = require("./encoding.js").getTargetTubeIndex;
+  var RewardFunction = require("./rewards.js").RewardFunction;
+}
+
 
 /**
  * The Q-table forms the heart of the Q-learning algorithm. Maintained for our
@@ -24,8 +36,10 @@
  * parameter 'diffY' denotes the difference between the Y-coordinate of the flappy 
  * bird to the Y-coordinate of our ideal passage position, i.e. how down below or 
  * above our flappy bird is from where it should pass from the tube.
+ * 
+ * The state can be discretized into buckets and extended with more features by
+ * the state encoder of the agent (see js/encoding.js).
  */
-var Q_table = {};
 
 /** 
  * The action set comprises of: 
@@ -38,6 +52,8 @@ var actionSet = {
 };
 
 /**
+ * Creates a new flappy bird agent, with its own Q-table and parameters.
+ * 
  * Defining the parameters for our Q-learning model, 
  * (1) Learning rate, alpha: Ranging between [0,1], it determines how quickly should 
  * the flappy bird override it's old learned actions with the new ones for the 
@@ -48,104 +64,179 @@ var actionSet = {
  * took recently previously will be penalized more than the action which it took 10 
  * steps ago. This is because it's the recent actions which has a more influence on 
  * the success of the bird.
+ * @param {*} options Optional Q_table (and Q_table_B) to start from, alpha,
+ * gamma, exploration (see js/exploration.js), learner (see js/learners.js),
+ * encoding (see js/encoding.js), rewards (see js/rewards.js) and random
  */
-var gamma = 0.8; // Discounted rewards
-var alpha = 0.1; // Learning rate
+function Agent(options) {
+  options = options || {};
+
+  // The Q-table of the agent, as described above, and the second one which is
+  // maintained only by Double Q-learning
+  this.Q_table = options.Q_table || {};
+  this.Q_table_B = options.Q_table_B || {};
+
+  this.gamma = ("gamma" in options) ? options.gamma : 0.8; // Discounted rewards
+  this.alpha = ("alpha" in options) ? options.alpha : 0.1; // Learning rate
+
+  // Frame buffer for mainting the state-action pairs in the current episode
+  this.frameBuffer = [];
+
+  // Number of frames in the current frame buffer
+  this.episodeFrameCount = 0;
+
+  // Flag to determine if the current episode is still ongoing or is completed by
+  // maintaing a index to the next incoming tube
+  this.targetTubeIndex = -1;
+
+  // The tube which the bird must clear next
+  this.targetTube = null;
 
-// Frame buffer for mainting the state-action pairs in the current episode
-var frameBuffer = [];
+  // To maintain the count on the number of trials
+  this.trials = 0;
 
-// Number of frames in the current frame buffer
-var episodeFrameCount = 0;
+  // Number of times each state-action pair was visited, keyed as in the Q-table
+  this.visits = {};
 
-// Flag to determine if the current episode is still ongoing or is completed by
-// maintaing a index to the next incoming tube
-var targetTubeIndex;
+  // The strategy for exploring new possibilities, and whether the last action
+  // taken was an exploratory one
+  this.exploration = new Exploration(options.exploration);
+  this.wasExploratory = false;
 
-// The tube which the bird must clear next
-var targetTube;
+  // The algorithm estimating the targets of the Q-values (see js/learners.js)
+  this.learner = new Learner(options.learner);
 
-// To maintain the count on the number of trials
-var trials = 0;
+  // The encoder forming the states and the keys of the Q-table
+  this.encoder = new StateEncoder(options.encoding);
+
+  // The reward function deciding the rewards at the end of an episode
+  this.rewards = new RewardFunction(options.rewards);
+
+  // The source of randomness for the decisions of the agent
+  this.random = options.random || Math.random;
+
+  // What the agent last did, for the debug overlay of the page: the decision
+  // of the last step, null when the bird was left to gravity, and the frames
+  // rewarded at the end of the last episode along with their rewards
+  this.lastDecision = null;
+  this.lastEpisode = null;
+
+  // A frozen agent neither explores nor learns, it only plays what it has
+  // learnt so far, which is how it is evaluated (see js/evaluation.js)
+  this.isFrozen = false;
+}
+
+// The strategy of a frozen agent, always taking the action of highest Q-value
+var frozenExploration = new Exploration({ strategy: "greedy" });
 
 /**
  * Function to lookup the estimated Q-value (reward) in the Q-table for a given
  * state-action pair
  * @param {*} state State of the environment as described above
  * @param {*} action The action to be taken
+ * @param {*} table The Q-table to lookup, by default the estimate of the agent,
+ * which for Double Q-learning is the average of both of its tables and for DQN
+ * the output of its network
  */
-function getQ(state, action) {
-  var config = [ state.diffY, state.speedY, state.tubeX, action ];
-  if (!(config in Q_table)) {
+Agent.prototype.getQ = function(state, action, table) {
+  if (!table && this.learner.usesNetwork) {
+    return this.getValues(state)[action];
+  }
+  if (!table && this.learner.usesTwoTables) {
+    return (this.getQ(state, action, this.Q_table) + this.getQ(state, action, this.Q_table_B)) / 2;
+  }
+  table = table || this.Q_table;
+  var config = this.encoder.getKey(state, action);
+  if (!(config in table)) {
      // If there's no entry in the given Q-table for the given state-action
      // pair, return a default reward score as 0
      return 0;
   }
-  return Q_table[config];
-}
+  return table[config];
+};
+
+/**
+ * Function to lookup the Q-values of all the actions for a given state, indexed
+ * by action
+ * @param {*} state The state of the environment
+ * @param {*} table The Q-table to lookup, as for getQ
+ */
+Agent.prototype.getValues = function(state, table) {
+  if (!table && this.learner.usesNetwork) {
+    return this.learner.getNetwork(this).predict(state);
+  }
+  return [ this.getQ(state, actionSet.STAY, table), this.getQ(state, actionSet.JUMP, table) ];
+};
 
 /**
  * Function to update the Q-value (reward) entry for the given state-action pair
  * @param {*} state The state of the environment
  * @param {*} action The action taken for the given state
  * @param {*} reward The reward to be awarded for the state-action pair 
+ * @param {*} table The Q-table to update, by default the main one
  */
-function setQ(state, action, reward) {
-  var config = [ state.diffY, state.speedY, state.tubeX, action ];
-  if (!(config in Q_table)) {
-    Q_table[config] = 0;
+Agent.prototype.setQ = function(state, action, reward, table) {
+  table = table || this.Q_table;
+  var config = this.encoder.getKey(state, action);
+  if (!(config in table)) {
+    table[config] = 0;
   }
-  Q_table[config] += reward;
-}
+  table[config] += reward;
+};
 
 /**
  * Function responsible for selecting the appropriate action corresponding to
  * the given state The action which has a higher Q-value for the given state is
- * 'generally' executed 
+ * 'generally' executed, how often the flappy bird deviates from it to explore a
+ * new possibility is decided by the exploration strategy of the agent
  * @param {*} state 
+ * @param {*} values Optional Q-values of the state, if already looked up
  */
-function getAction(state) {
-  // Why always follow the rules? Once in a while (1/100000), our flappy bird
-  // takes a random decision without looking up the Q-table to explore a new
-  // possibility. This is to help the flappy bird to not get stuck on a single
-  // path.
-  var takeRandomDecision = Math.ceil(Math.random() * 100000)%90001;
-  if (takeRandomDecision == 0) {
-    console.log("Going random baby!");
-    // 1 out of 4 times, it'll take a decision to jump
-    var shouldJump = ((Math.random() * 100 )%4 == 0);
-    if (shouldJump) {
-        return actionSet.JUMP;
-    } else {
-        return actionSet.STAY;
-    }
-  }
-  
+Agent.prototype.getAction = function(state, values) {
   // Lookup the Q-table for rewards corresponding to Jump and Stay action for
   // the given state
-  var rewardForStay = getQ(state, actionSet.STAY);
-  var rewardForJump = getQ(state, actionSet.JUMP);
+  values = values || this.getValues(state);
+  var visits = [ this.getVisits(state, actionSet.STAY), this.getVisits(state, actionSet.JUMP) ];
 
-  if (rewardForStay > rewardForJump) {
-    // If reward for Stay is higher, command the flappy bird to stay
-    return actionSet.STAY;
-  } else if (rewardForStay < rewardForJump) {
-    // If reward for Jump is higher, command the flappy bird to jump
-    return actionSet.JUMP;
-  } else {
-    // This is the case when the reward for both the actions are the same In
-    // such a case, we determine randomly the action to be taken Generally, the
-    // probability of jumping is lower as compared to stay to mimic the natural
-    // scenario We press jump much less occasionally than we let the flappy bird
-    // fall
-    var shouldJump = (Math.ceil( Math.random() * 100 )%25 == 0); 
-    if (shouldJump) {
-        return actionSet.JUMP;
-    } else {
-        return actionSet.STAY;
-    }    
-  }
-}
+  var exploration = this.isFrozen ? frozenExploration : this.exploration;
+  var decision = exploration.selectAction(values, visits, this.trials, this.random);
+  this.wasExploratory = decision.isExploratory;
+  return decision.action;
+};
+
+/**
+ * Function returning the probability of each action being selected by getAction
+ * in the given state, indexed by action
+ * @param {*} state 
+ */
+Agent.prototype.getPolicy = function(state) {
+  var visits = [ this.getVisits(state, actionSet.STAY), this.getVisits(state, actionSet.JUMP) ];
+  return this.exploration.getProbabilities(this.getValues(state), visits, this.trials);
+};
+
+/**
+ * Function to lookup how many times the given action was taken in the given state
+ * @param {*} state The state of the environment
+ * @param {*} action The action taken for the given state
+ */
+Agent.prototype.getVisits = function(state, action) {
+  return this.visits[this.encoder.getKey(state, action)] || 0;
+};
+
+/**
+ * Function to switch the agent over to a new state encoding. The keys of the
+ * Q-table would no longer match, hence the agent starts learning from scratch
+ * @param {*} encoding The configuration of the encoder (see js/encoding.js)
+ */
+Agent.prototype.setEncoding = function(encoding) {
+  this.encoder = new StateEncoder(encoding);
+  this.Q_table = {};
+  this.Q_table_B = {};
+  this.visits = {};
+  this.frameBuffer = [];
+  this.episodeFrameCount = 0;
+  this.learner.reset();
+};
 
 /**
  * Function responsible for rewarding the flappy bird according to its
@@ -159,19 +250,33 @@ function getAction(state) {
  * buffer to store the state-action pairs in a sequential order and decide upon
  * the reward to be awarded for that state-action on the completion of the
  * episode
- * @param {*} reward The amound of reward to be awarded to the Flappy Bird
  * @param {*} wasSuccessful Determines if the reward to be awarded should be
  * negative or positive depending upon if the episode was completed successfully
  * or not
+ * @param {*} cause What the bird crashed into, for an unsuccessful episode, as
+ * one of CRASH_CAUSES (see js/simulation.js)
  */
-function rewardTheBird(reward, wasSuccessful) {
+Agent.prototype.rewardTheBird = function(wasSuccessful, cause) {
+  if (this.isFrozen) {
+    return;
+  }
   // Minumun number of frames to be maintained in the frame buffer for the
   // episode (for maintaining the state-action sequecne tail)
-  var minFramSize = 5;
-  // Tolerable deviation from the ideal passage position between the tubes in px
-  var theta = 1;
+  var minFramSize = this.rewards.config.minFrameSize;
   
-  var frameSize = Math.max(minFramSize, episodeFrameCount);
+  var frameBuffer = this.frameBuffer;
+  var frameSize = Math.max(minFramSize, this.episodeFrameCount);
+  // The rewards awarded to the state-action pairs, and the target of the most
+  // recently updated pair, which some of the learning algorithms look ahead to
+  var rewards = [];
+  var nextReturn = null;
+  // The state-action pairs along with their rewards, kept for the debug overlay.
+  // The most recent pair is only looked ahead to, hence it is not rewarded
+  var rewarded = [];
+  var mostRecent = frameBuffer[frameBuffer.length-1];
+  if (mostRecent) {
+    rewarded.push({ state: mostRecent.env, action: mostRecent.action, reward: null });
+  }
     
   // Iterate over the state-action sequence trail, from the most recent to the
   // most oldest
@@ -180,104 +285,127 @@ function rewardTheBird(reward, wasSuccessful) {
     var state  = config.env;
     var action = config.action;
     
-    // The reward for the state is influenced by how close the flappy bird was
-    // from the ideal passage position
-    var rewardForState = (reward - Math.abs(state.diffY));
+    // The reward for the state-action pair is decided by the reward function
+    // of the agent, by default the original heuristic (see js/rewards.js)
+    rewards[i] = this.rewards.getReward(config, wasSuccessful, i == frameBuffer.length-2, cause);
     
-    // Determine if the reward for given state-action pair should be positive or
-    // negative
-    if (!wasSuccessful) {
-      if (state.diffY >= theta && action == actionSet.JUMP) {
-        // If the bird was above the ideal passage position and it still decided
-        // to jump, reward negatively
-        rewardForState = -rewardForState;
-      } else if(state.diffY <= -theta && action == actionSet.STAY) {
-        // If the bird was below the ideal passage position and it still decided
-        // to not jump (stay), reward negatively
-        rewardForState = -rewardForState;
-      } else {
-        // The bird took the right decision, so don't award it negatively
-        rewardForState = +0.5;
-      }
+    // Update the Q-value for the state-action pair according to the learning
+    // algorithm of the agent, by default the Q-learning algorithm
+    // Ref: https://en.wikipedia.org/wiki/Q-learning
+    var update = this.learner.getTarget(this, {
+      index: i,
+      frames: frameBuffer,
+      rewards: rewards,
+      nextReturn: nextReturn
+    });
+    // Learners backed by a network have no Q-table to update here, they only
+    // remember the transition
+    if (update) {
+      var updateValue = this.alpha*(update.target - this.getQ(state, action, update.table));
+
+      this.setQ(state, action, updateValue, update.table)
+      nextReturn = update.target;
     }
-    
-    // Update the Q-value for the state-action pair according to the Q-learning
-    // algorithm Ref: https://en.wikipedia.org/wiki/Q-learning
-    var futureState = frameBuffer[i+1].env;
-    var optimalFutureValue = Math.max(getQ(futureState, actionSet.STAY), 
-                                      getQ(futureState, actionSet.JUMP));
-    var updateValue = alpha*(rewardForState + gamma * optimalFutureValue - getQ(state, action));
-
-    setQ(state, action, updateValue)
+    rewarded.unshift({ state: state, action: action, reward: rewards[i] });
     frameSize--;
  }
+ this.lastEpisode = { wasSuccessful: wasSuccessful, cause: cause || null, frames: rewarded };
+ this.learner.endEpisode(this);
  // Allocating reward is complete, hence clear the frame buffer but still try to
- // maintain the most recent 5 state-action pair Since the last actions taken in
+ // maintain the most recent few state-action pair Since the last actions taken in
  // the previous episode affects the position of the bird in the next episdoe
- frameBuffer = frameBuffer.slice(Math.max(frameBuffer.length-minFramSize, 1));
- episodeFrameCount = 0;
-}
+ this.frameBuffer = frameBuffer.slice(Math.max(frameBuffer.length-minFramSize, 1));
+ this.episodeFrameCount = 0;
+};
 
 /**
  * Function to negatively reward the flappy bird when the game is over
+ * @param {*} cause What the bird crashed into, as reported by the simulation
+ * (see js/simulation.js), if known
  */
-function triggerGameOver() {
-  var reward =  100;
-  rewardTheBird(reward, false);
-  console.log( "GameOver:", score, Object.keys(Q_table).length, trials );
+Agent.prototype.triggerGameOver = function(cause) {
+  this.rewardTheBird(false, cause);
 
   // Reset the episode flag
-  targetTubeIndex = -1;
-  episodeFrameCount = 0;
-  trials++;
-}
+  this.targetTubeIndex = -1;
+  if (this.isFrozen) {
+    return;
+  }
+  this.episodeFrameCount = 0;
+  this.trials++;
+};
+
+/**
+ * Function to end an episode which was cut short while the bird was still
+ * flying, e.g. once it reached the target score of the training. The pairs since
+ * the last cleared tube are dropped unrewarded, as nothing tells how they would
+ * have turned out, and the next episode starts afresh
+ */
+Agent.prototype.truncateEpisode = function() {
+  this.targetTubeIndex = -1;
+  this.targetTube = null;
+  if (this.isFrozen) {
+    return;
+  }
+  this.frameBuffer = [];
+  this.episodeFrameCount = 0;
+  this.trials++;
+};
 
 /**
  * This function is executed for every step in the game and is responsible for
  * forming the state and delegating the action to be taken back to our flappy
  * bird
+ * @param {*} observation The current environment, i.e. birdX, birdY, birdYSpeed
+ * and the tubes
+ * @param {*} demonstratedAction Optional action taken by a human player, which
+ * is recorded and learnt from in place of the action of the agent (learning from
+ * demonstration)
+ * @returns {*} The action the flappy bird should take
  */
-function nextStep() {
-  // If the game hasn't started yet then do nothing
-  if (gameState != GAME)
-   return;
-  
+Agent.prototype.nextStep = function(observation, demonstratedAction) {
+  var birdX = observation.birdX;
+
   // Logic to determine if the Flappy Bird successfully surpassed the tube The
   // changing of the targetTubeIndex denotes the completion of an episode
-  if (birdX < tubes[0].x + 3 && (tubes[0].x < tubes[1].x || tubes[1].x + 3 < birdX)) {
-    targetTube = tubes[0];
-    if (targetTubeIndex == 1) {
-      // The target tube changed from [1] to [0], which means the tube[1] was
-      // crossed successfully Hence reward the bird positively 
-      rewardTheBird(5, true);
-    }
-    targetTubeIndex = 0;
-  } else  {
-    targetTube = tubes[1];
-    if (targetTubeIndex == 0) {
-      // The target tube changed from index [0] to [1], which means the tube[0]
-      // was crossed successfully Hence reward the bird positively
-      rewardTheBird(5, true);
-    }
-    targetTubeIndex = 1;
+  var targetTubeIndex = getTargetTubeIndex(observation);
+  if (this.targetTubeIndex >= 0 && targetTubeIndex != this.targetTubeIndex) {
+    // The target tube changed, which means the previous one was crossed
+    // successfully Hence reward the bird positively
+    this.rewardTheBird(true);
   }
+  this.targetTubeIndex = targetTubeIndex;
+  this.targetTube = observation.tubes[targetTubeIndex];
   
-  // We'll take no action if the  tube is too far from the bird
-  if (targetTube.x - birdX > 28) {
-    return;
+  // We'll take no action if the  tube is too far from the bird, unless the bird
+  // would crash into the ground meanwhile
+  var targetTube = this.targetTube;
+  if (targetTube.x - birdX > 28 && !observation.crashOnBounds) {
+    this.lastDecision = null;
+    return actionSet.STAY;
   }
 
   // Else, we'll form our state from the current environment parameters to be
   // ingested by our algorithm
-  var state = {
-    speedY: Math.round(birdYSpeed * 100),
-    tubeX: targetTube.x,
-    diffY: (targetTube.y+17+6) - (birdY+1)
-  };
+  var state = this.encoder.encode(observation, this.targetTubeIndex);
   
   // Query the Q-table to determine the appropriate action to be taken for the
-  // current state
-  var actionToBeTaken = getAction(state);
+  // current state, unless a human player has taken it already
+  // The Q-values are kept along with the decision as they were when it was
+  // taken, as rewarding the bird changes them right after a crash
+  var values = this.getValues(state);
+  var actionToBeTaken;
+  if (demonstratedAction === undefined) {
+    actionToBeTaken = this.getAction(state, values);
+  } else {
+    actionToBeTaken = demonstratedAction;
+    this.wasExploratory = false;
+  }
+  this.lastDecision = { state: state, values: values, action: actionToBeTaken, isExploratory: this.wasExploratory };
+
+  if (this.isFrozen) {
+    return actionToBeTaken;
+  }
 
   // Push the state-action pair to the frame buffer so what we can determine the
   // reward for it later on
@@ -285,14 +413,19 @@ function nextStep() {
     env: state,
     action: actionToBeTaken
   };  
-  frameBuffer.push(config);
-  episodeFrameCount++;
+  this.frameBuffer.push(config);
+  this.episodeFrameCount++;
 
-  // Delegate the action to our flappy bird
-  if (actionToBeTaken == actionSet.JUMP) {
-    birdYSpeed = -1.4;
-  } else {
-      // For stay action, we do nothing but just let the bird go down due to
-      // gravity
-  }  
-}
\ No newline at end of file
+  this.visits[this.encoder.getKey(state, actionToBeTaken)] = this.getVisits(state, actionToBeTaken) + 1;
+
+  // Delegate the action to our flappy bird. For stay action, the bird just goes
+  // down due to gravity
+  return actionToBeTaken;
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Agent: Agent,
+    actionSet: actionSet
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * The script draws the learning curves of the sidebar from the training history
+ * (see js/history.js): the score of every trial along with its moving average.
+ */
+
+/**
+ * Draws the score per trial and its moving average onto the given canvas
+ * @param {*} canvas The canvas to draw onto
+ * @param {*} history The training history
+ * @param {*} averageSize The number of trials of the moving average
+ */
+function drawLearningCurve(canvas, history, averageSize) {
+    var chart = canvas.getContext("2d");
+    var width = canvas.width, height = canvas.height, padding = 20;
+    chart.clearRect(0, 0, width, height);
+    chart.fillStyle = "#FFF";
+    chart.fillRect(0, 0, width, height);
+
+    var scores = history.entries.map(function(entry) { return entry.score; });
+    var averages = history.movingAverage("score", averageSize);
+    var maxScore = Math.max(1, maxOf(scores));
+
+    // Axes along with the highest score and the number of trials
+    chart.strokeStyle = "#999";
+    chart.beginPath();
+    chart.moveTo(padding, 0);
+    chart.lineTo(padding, height - padding);
+    chart.lineTo(width, height - padding);
+    chart.stroke();
+    chart.fillStyle = "#222";
+    chart.font = "10px sans-serif";
+    chart.fillText(maxScore, 2, 10);
+    chart.fillText(scores.length + " trials", width - 60, height - 5);
+
+    plotSeries(chart, scores, maxScore, "rgba(0,200,200,0.5)", padding, width, height);
+    plotSeries(chart, averages, maxScore, "#C00", padding, width, height);
+}
+
+/**
+ * Plots a series as a line, keeping the highest value whenever more than one
+ * trial falls upon the same pixel column
+ */
+function plotSeries(chart, values, maxValue, color, padding, width, height) {
+    var plotWidth = width - padding, plotHeight = height - padding;
+    var columns = Math.min(values.length, plotWidth);
+    chart.strokeStyle = color;
+    chart.beginPath();
+    for (var column = 0; column < columns; column++) {
+        var from = Math.floor(column * values.length / columns);
+        var to = Math.max(from + 1, Math.floor((column + 1) * values.length / columns));
+        var value = maxOf(values.slice(from, to));
+        var x = padding + (columns > 1 ? column * (plotWidth - 1) / (columns - 1) : 0);
+        var y = plotHeight - value / maxValue * (plotHeight - 1);
+        if (column == 0) {
+            chart.moveTo(x, y);
+        } else {
+            chart.lineTo(x, y);
+        }
+    }
+    chart.stroke();
+}
+
+// The highest of the values, 0 if there are none. Math.max.apply would run out of stack past about a hundred
+// thousand trials
+function maxOf(values) {
+    return values.reduce(function(max, value) {
+        return value > max ? value : max;
+    }, values.length ? -Infinity : 0);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        drawLearningCurve: drawLearningCurve
+    };
+}
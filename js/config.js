@@ -4,12 +4,98 @@
  * Author @nellex
  */
 
-var isEnvironmentStatic = true;
 var displayTarget = false;
 
+// Whether the debug overlay is drawn on top of the game (see js/debug.js)
+var showDebug = false;
+
+// The curriculum of the environment, if the bird follows one (see js/curriculum.js)
+var curriculum = null;
+
+// The model the agent started from, as written to the link of the session (see js/session.js), null if it
+// came from a file or was changed since
+var sessionModel = null;
+
+// The parameters of the environment which can be set from the sidebar (see js/simulation.js)
+var ENVIRONMENT_FIELDS = ["gravity", "jumpSpeed", "tubeGapHeight", "tubeYVariance", "tubeSpacing", "tubeSpeed"];
+
+// The parameters of the reward presets which can be set from the sidebar, with their labels (see js/rewards.js)
+var REWARD_FIELDS = {
+    clearReward: "Clearing a tube",
+    crashReward: "Crashing",
+    theta: "Tolerance in px",
+    rightDecisionReward: "Right decision",
+    frameReward: "Every frame survived",
+    distanceScale: "Penalty per px off the gap",
+    minFrameSize: "Frames rewarded at least"
+};
+
+// The pre-trained model, relative to the page
+var PRE_TRAINED_MODEL = "model/qtable-x3-y6.json";
+
 function gameSpeedChange(curSpeed) {
-    clearInterval(eventLoop);
-    eventLoop = setInterval(loop, 100-curSpeed);
+    loopDelay = 100-curSpeed;
+    if (eventLoop) {
+        clearInterval(eventLoop);
+        eventLoop = setInterval(loop, loopDelay);
+    }
+}
+
+function togglePause() {
+    // Fast-forwarding, the training in the worker pauses while the page keeps rendering
+    if (fastForward) {
+        pauseFastForward(!fastForward.isPaused);
+    } else if (eventLoop) {
+        clearInterval(eventLoop);
+        eventLoop = null;
+    } else {
+        eventLoop = setInterval(loop, loopDelay);
+    }
+    renderTrainingControls();
+}
+
+function toggleFastForward() {
+    if (fastForward) {
+        stopFastForward();
+    } else if (playMode != AGENT_PLAYS) {
+        alert("Only the agent can be trained at full speed, choose it as the player first");
+        return;
+    } else {
+        if (!eventLoop) {
+            eventLoop = setInterval(loop, loopDelay);
+        }
+        startFastForward(document.getElementById("fast-show").value, getRenderEvery());
+    }
+    renderTrainingControls();
+}
+
+function getRenderEvery() {
+    return Math.max(1, parseInt(document.getElementById("render-every").value) || 1);
+}
+
+function fastShowChange(show) {
+    document.getElementById("render-every-field").hidden = show != SHOW_TRAINING;
+    if (fastForward) {
+        fastForward.show = show;
+        fastForward.showcase = null;
+    }
+}
+
+function renderEveryChange() {
+    if (fastForward) {
+        fastForward.worker.postMessage({ type: "render", renderEvery: getRenderEvery() });
+    }
+}
+
+function renderTrainingControls() {
+    var isPaused = fastForward ? fastForward.isPaused : !eventLoop;
+    document.getElementById("pause").value = isPaused ? "Resume" : "Pause";
+    document.getElementById("fast-forward").value = !fastForward ? "Fast-forward" :
+        fastForward.isStopping ? "Stopping..." : "Back to normal speed";
+    document.getElementById("play-mode").disabled = !!fastForward;
+    var seconds = fastForward ? (Date.now() - fastForward.startTime) / 1000 : 0;
+    document.getElementById("training-status").innerText = fastForward ?
+        fastForward.trials + " trials in the background, " + Math.round(fastForward.trials / seconds) + " per second" : "";
 }
 
 function toggleDisplayTarget(showTarget) {
@@ -20,33 +106,641 @@ function toggleDisplayTarget(showTarget) {
     }
 }
 
+function toggleDebugOverlay(show) {
+    showDebug = show;
+}
+
+function renderDebugOverlay() {
+    // Only the agent in training decides, be it for itself or while watching a human player
+    if (playMode != AGENT_PLAYS && playMode != HUMAN_PLAYS) {
+        return;
+    }
+    drawDebugOverlay(context, scale * 32, scale * 32, agent.lastDecision, lastCrash);
+}
+
 function environmentChange(curEnv) {
+    curriculum = null;
     if (curEnv == "Static") {
-        isEnvironmentStatic = true;
+        simulation.isStatic = true;
+    } else if (curEnv == "Curriculum") {
+        curriculum = new Curriculum();
+        curriculum.apply(simulation);
     } else {
-        isEnvironmentStatic = false;
+        simulation.isStatic = false;
     }
+    renderEnvironment();
 }
 
-function saveModel() {
-    window.localStorage.setItem("flappybird-qtable", JSON.stringify(Q_table));
-    alert("Model was saved successfully!");
+function physicsChange() {
+    var options = {};
+    ENVIRONMENT_FIELDS.forEach(function(field) {
+        var value = parseFloat(document.getElementById("env-" + field).value);
+        if (!isNaN(value)) {
+            options[field] = value;
+        }
+    });
+    options.crashOnBounds = document.getElementById("env-crashOnBounds").checked;
+    simulation.configure(options);
+}
+
+function resetPhysics() {
+    var options = { crashOnBounds: SIMULATION_DEFAULTS.crashOnBounds };
+    ENVIRONMENT_FIELDS.forEach(function(field) {
+        options[field] = SIMULATION_DEFAULTS[field];
+    });
+    simulation.configure(options);
+    renderEnvironment();
+}
+
+function renderEnvironment() {
+    ENVIRONMENT_FIELDS.forEach(function(field) {
+        document.getElementById("env-" + field).value = simulation.config[field];
+    });
+    document.getElementById("env-crashOnBounds").checked = simulation.config.crashOnBounds;
+    var stage = document.getElementById("curriculum-stage");
+    stage.hidden = !curriculum;
+    if (curriculum) {
+        var threshold = curriculum.getStage().threshold;
+        stage.innerText = "Stage " + (curriculum.stageIndex + 1) + " of " + curriculum.config.stages.length + ": " +
+            curriculum.getStage().name + (threshold === null ? "" : ", next at an average score of " + threshold);
+    }
 }
 
-function loadModel() {
-    if (window.localStorage.getItem("flappybird-qtable") != null) {
-        Q_table = JSON.parse(window.localStorage.getItem("flappybird-qtable"));
-        alert("Model was loaded successfully!");
+window.addEventListener("load", renderEnvironment, false);
+
+function playModeChange(mode) {
+    playMode = parseInt(mode);
+    humanJumped = false;
+    document.getElementById("versus").hidden = playMode != HUMAN_VS_MODEL;
+    document.getElementById("evolution").hidden = playMode != POPULATION_EVOLVES;
+    document.getElementById("external").hidden = playMode != EXTERNAL_PLAYS;
+    if (playMode == POPULATION_EVOLVES) {
+        createPopulation();
+    }
+    if (playMode != EXTERNAL_PLAYS) {
+        disconnectExternal();
+    }
+    resizeCanvas();
+    startGame();
+}
+
+function toggleExternal() {
+    if (external) {
+        disconnectExternal();
     } else {
-        alert("No saved model found in local storage");
+        connectExternal(document.getElementById("external-url").value, renderExternalStatus);
+    }
+    renderExternalStatus();
+}
+
+function renderExternalStatus(status) {
+    if (status) {
+        document.getElementById("external-status").innerText = status;
     }
+    document.getElementById("external-connect").value = external ? "Disconnect" : "Connect";
+}
+
+function createPopulation() {
+    // Table policies start from what the agent has learnt so far, and keep learning as it does
+    population = new Population({
+        size: parseInt(document.getElementById("population-size").value) || EVOLUTION_DEFAULTS.size,
+        policy: document.getElementById("population-policy").value,
+        encoding: agent.encoder.config,
+        agent: getAgentOptions(),
+        qTable: agent.Q_table,
+        random: sessionRandom
+    });
+    renderEvolution();
+}
+
+function populationChange() {
+    createPopulation();
+    startGame();
+    gameState = GAME;
+}
+
+function adoptBestBird() {
+    if (!population || !population.generation) {
+        alert("No generation has been bred yet");
+        return;
+    }
+    // A Q-table is taken over by the current learner, a network comes with its own
+    var best = population.createBestAgent();
+    agent.Q_table = best.Q_table;
+    if (population.config.policy == "network") {
+        agent.learner = best.learner;
+    }
+    showAgentInSidebar();
+    alert("The agent now plays by the best bird of generation " + (population.generation - 1));
+}
+
+function renderEvolution() {
+    var last = population.history[population.history.length - 1];
+    var alive = population.birds.filter(function(bird) { return !bird.simulation.isOver; }).length;
+    document.getElementById("generation").innerText = population.generation;
+    document.getElementById("population-alive").innerText = alive + " / " + population.config.size;
+    document.getElementById("generation-stats").innerText = last ?
+        "best " + last.bestScore + ", mean " + last.meanScore.toFixed(2) + ", best ever " + population.bestScore : "-";
+}
+
+function renderVersusScore() {
+    document.getElementById("versus-score").innerText = simulation.score + " : " + opponentSimulation.score;
+    document.getElementById("versus-wins").innerText = versusWins[0] + " : " + versusWins[1];
+}
+
+function algorithmChange(algorithm) {
+    agent.learner = new Learner({ algorithm: algorithm });
 }
 
-var getJSON = function(url) {
+function rewardsChange(preset) {
+    // Every preset starts from its own parameters
+    agent.rewards = new RewardFunction({ preset: preset });
+    renderRewardParams();
+}
+
+function rewardParamsChange() {
+    var options = { preset: agent.rewards.config.preset };
+    for (var key in REWARD_PRESETS[options.preset]) {
+        var value = parseFloat(document.getElementById("reward-" + key).value);
+        if (!isNaN(value)) {
+            options[key] = value;
+        }
+    }
+    agent.rewards = new RewardFunction(options);
+    renderRewardParams();
+}
+
+function renderRewardParams() {
+    var body = document.querySelector("#reward-params tbody");
+    body.innerHTML = "";
+    for (var key in REWARD_PRESETS[agent.rewards.config.preset]) {
+        var row = document.createElement("tr");
+        var label = document.createElement("label");
+        label.htmlFor = "reward-" + key;
+        label.textContent = REWARD_FIELDS[key] || key;
+        var input = document.createElement("input");
+        input.id = "reward-" + key;
+        input.type = "number";
+        input.value = agent.rewards.config[key];
+        input.onchange = rewardParamsChange;
+        [label, input].forEach(function(element) {
+            var cell = document.createElement("td");
+            cell.appendChild(element);
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    }
+}
+
+function explorationChange(preset) {
+    agent.exploration = new Exploration(EXPLORATION_PRESETS[preset]);
+}
+
+function hyperparameterChange() {
+    ["alpha", "gamma"].forEach(function(name) {
+        var value = parseFloat(document.getElementById(name).value);
+        if (value >= 0 && value <= 1) {
+            agent[name] = value;
+        }
+    });
+    document.getElementById("alpha").value = agent.alpha;
+    document.getElementById("gamma").value = agent.gamma;
+}
+
+function encodingChange() {
+    // The Q-table learnt so far is of no use with a different encoding, hence the bird starts afresh
+    var buckets = {}, features = [];
+    // The extra features have buckets of their own, taken into account once they are switched on
+    ["speedY", "tubeX", "diffY"].concat(EXTRA_FEATURES).forEach(function(feature) {
+        buckets[feature] = parseInt(document.getElementById("bucket-" + feature).value) || 1;
+    });
+    EXTRA_FEATURES.forEach(function(feature) {
+        if (document.getElementById("feature-" + feature).checked) {
+            features.push(feature);
+        }
+    });
+    agent.setEncoding({ buckets: buckets, features: features });
+    sessionModel = null;
+    EXTRA_FEATURES.forEach(function(feature) {
+        document.getElementById("bucket-" + feature).disabled = features.indexOf(feature) < 0;
+    });
+}
+
+function saveModel() {
+    var name = document.getElementById("model-name").value.trim();
+    if (!name) {
+        alert("Please enter a name for the model");
+        return;
+    }
+    if (modelLibrary.list().some(function(entry) { return entry.name == name; }) &&
+            !confirm("Overwrite the model \"" + name + "\"?")) {
+        return;
+    }
+    modelLibrary.save(name, createModel(agent, { bestScore: hiScore })).then(function(entry) {
+        renderModelLibrary();
+        alert("Model was saved successfully" + (entry.backend == "indexedDB" ? " to IndexedDB, as it exceeds the local storage quota!" : "!"));
+    }, function(e) {
+        alert("The model could not be saved: " + e.message);
+    });
+}
+
+function loadModel(name) {
+    modelLibrary.load(name).then(function(data) {
+        loadModelFrom(data, SESSION_LIBRARY_PREFIX + name);
+    }, function(e) {
+        alert("The model could not be loaded: " + e.message);
+    });
+}
+
+function renameModel(name) {
+    var newName = (prompt("New name for the model \"" + name + "\"", name) || "").trim();
+    if (!newName || newName == name) {
+        return;
+    }
+    modelLibrary.rename(name, newName).then(renderModelLibrary, function(e) {
+        alert("The model could not be renamed: " + e.message);
+    });
+}
+
+function deleteModel(name) {
+    if (confirm("Delete the model \"" + name + "\"?")) {
+        modelLibrary.remove(name).then(renderModelLibrary);
+    }
+}
+
+function renderModelLibrary() {
+    var body = document.querySelector("#model-library tbody");
+    body.innerHTML = "";
+    modelLibrary.list().forEach(function(entry) {
+        var row = document.createElement("tr");
+        [entry.name, entry.trials, entry.bestScore, entry.rules].forEach(function(value) {
+            var cell = document.createElement("td");
+            cell.textContent = (value === null || value === undefined) ? "-" : value;
+            row.appendChild(cell);
+        });
+        var actions = document.createElement("td");
+        [["Load", loadModel], ["Rename", renameModel], ["Delete", deleteModel]].forEach(function(action) {
+            var button = document.createElement("input");
+            button.type = "button";
+            button.value = action[0];
+            button.onclick = function() {
+                action[1](entry.name);
+            };
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+        body.appendChild(row);
+    });
+    modelLibrary.getUsage().then(function(usage) {
+        var text = Math.ceil(usage.localStorage / 1024) + " KB";
+        if (usage.indexedDB) {
+            text += " + " + Math.ceil(usage.indexedDB / 1024) + " KB in IndexedDB";
+        }
+        document.getElementById("storage-usage").innerText = text;
+    });
+}
+
+window.addEventListener("load", function() {
+    modelLibrary.migrateLegacyModel().then(renderModelLibrary, function(e) {
+        alert("The previously saved model could not be moved to the library: " + e.message);
+        renderModelLibrary();
+    });
+}, false);
+
+/**
+ * Loads a model into the agent
+ * @param {*} data The model, as JSON or in binary form
+ * @param {*} source Where the model came from, for the link of the session, either the URL of its file or
+ * the name of a model of the library after SESSION_LIBRARY_PREFIX, null for a local file
+ */
+function loadModelFrom(data, source) {
+    try {
+        applyModel(agent, parseModel(data));
+    } catch (e) {
+        alert("The model could not be loaded: " + e.message);
+        return;
+    }
+    sessionModel = source || null;
+    showAgentInSidebar();
+    alert("Model was loaded successfully!");
+}
+
+function downloadFile(name, content, type) {
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], { type: type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+function exportModel() {
+    var model = createModel(agent, { bestScore: hiScore });
+    downloadFile("flappybird-model-" + model.createdAt.replace(/[:.]/g, "-") + ".json", JSON.stringify(model), "application/json");
+}
+
+function renderLearningCurve() {
+    var averageSize = parseInt(document.getElementById("average-size").value) || 1;
+    drawLearningCurve(document.getElementById("learning-curve"), trainingHistory, averageSize);
+    // What the bird crashed into over the same trials as the moving average
+    var causes = trainingHistory.countValues("cause", averageSize);
+    document.getElementById("crash-causes").innerText = Object.keys(causes).map(function(cause) {
+        return cause.replace("-", " ") + " " + causes[cause];
+    }).join(", ") || "none";
+}
+
+function renderPolicyHeatmap() {
+    var canvas = document.getElementById("policy-heatmap");
+    canvas.hidden = !document.getElementById("show-heatmap").checked;
+    if (canvas.hidden) {
+        return;
+    }
+    // The cell the bird currently occupies is its most recent state in the frame buffer
+    var lastFrame = agent.frameBuffer[agent.frameBuffer.length - 1];
+    var current = lastFrame ? getStateCell(agent, lastFrame.env) : null;
+    var speedSelect = document.getElementById("heatmap-speed");
+    var speedY = speedSelect.value == "current" ? (current ? current.speedY : 0) : Number(speedSelect.value);
+    var slice = buildPolicySlice(agent, speedY);
+
+    // Offer every speedY found in the Q-table as a slice
+    if (speedSelect.options.length != slice.speeds.length + 1) {
+        var selected = speedSelect.value;
+        speedSelect.length = 1;
+        slice.speeds.forEach(function(speed) {
+            speedSelect.add(new Option("speedY " + speed, speed));
+        });
+        speedSelect.value = selected;
+    }
+    drawPolicyHeatmap(canvas, slice, document.getElementById("heatmap-mode").value,
+        current && current.speedY == speedY ? current : null);
+}
+
+function exportHistory() {
+    downloadFile("flappybird-history.csv", trainingHistory.toCSV(), "text/csv");
+}
+
+function seedChange(seed) {
+    // The seed applies from the next trial on, a fresh page with the same seed reproduces the whole run
+    sessionSeed = parseInt(seed) || 0;
+    sessionRandom = createRandom(sessionSeed);
+    agent.random = sessionRandom;
+}
+
+window.addEventListener("load", function() {
+    document.getElementById("seed").value = sessionSeed;
+}, false);
+
+function renderReplayList() {
+    var select = document.getElementById("replay-trial");
+    // The selection sticks to the best trial, unless another one was picked
+    var selected = select.selectedIndex > 0 ? select.value : null;
+    select.length = 0;
+    recorder.list().forEach(function(recording) {
+        var label = (recording === recorder.best ? "Best: " : "") + "trial " + recording.trial + ", score " + recording.score;
+        select.add(new Option(label, recording.trial));
+    });
+    if (selected !== null && recorder.get(selected)) {
+        select.value = selected;
+    }
+}
+
+function replayTrial() {
+    var recording = recorder.get(document.getElementById("replay-trial").value);
+    if (!recording) {
+        alert("No trial has been recorded yet");
+        return;
+    }
+    startReplay(recording);
+    renderReplayControls();
+}
+
+function toggleReplay() {
+    if (replay) {
+        replay.isPlaying = !replay.isPlaying;
+        renderReplayControls();
+    }
+}
+
+function stepReplay(frames) {
+    if (replay) {
+        replay.isPlaying = false;
+        replay.seek(replay.frame + frames);
+        renderReplayControls();
+    }
+}
+
+function scrubReplay(frame) {
+    if (replay) {
+        replay.seek(parseInt(frame));
+        renderReplayControls();
+    }
+}
+
+function renderReplayControls() {
+    var scrub = document.getElementById("replay-scrub");
+    document.getElementById("replay-controls").hidden = !replay;
+    if (!replay) {
+        return;
+    }
+    scrub.max = replay.recording.actions.length;
+    scrub.value = replay.frame;
+    document.getElementById("replay-toggle").value = replay.isPlaying ? "Pause" : "Play";
+    document.getElementById("replay-frame").innerText = replay.frame + " / " + replay.recording.actions.length;
+    document.getElementById("replay-seed").innerText = replay.recording.seed;
+}
+
+function getEvaluationOptions() {
+    return {
+        episodes: parseInt(document.getElementById("eval-episodes").value) || 1,
+        seed: parseInt(document.getElementById("eval-seed").value) || 0,
+        isStatic: simulation.isStatic,
+        simulation: simulation.config
+    };
+}
+
+function renderEvaluation(name, report) {
+    var row = document.createElement("tr");
+    [
+        name + " (" + report.episodes + " " + (report.isStatic ? "static" : "random") + ", seed " + report.seed + ")",
+        [+report.score.mean.toFixed(1), report.score.median, report.score.max].join(" / "),
+        [+report.survivalFrames.mean.toFixed(1), report.survivalFrames.median, report.survivalFrames.max].join(" / ")
+    ].forEach(function(value) {
+        var cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    document.querySelector("#evaluation-report tbody").appendChild(row);
+}
+
+/**
+ * Evaluates the given agent a chunk of episodes at a time, the page carrying on meanwhile, and adds its report
+ * to the table of the sidebar once done
+ */
+function runEvaluation(name, evaluated) {
+    var options = getEvaluationOptions();
+    var status = document.getElementById("evaluation-status");
+    var showProgress = function(played) {
+        status.innerText = "Evaluating " + name + ": " + played + " / " + options.episodes + " episodes";
+    };
+    showProgress(0);
+    evaluateAgentInChunks(evaluated, options, showProgress).then(function(report) {
+        status.innerText = "";
+        renderEvaluation(name, report);
+    }, function(e) {
+        status.innerText = "";
+        alert("The evaluation failed: " + e.message);
+    });
+}
+
+function evaluateCurrentModel() {
+    // A copy of the agent is evaluated, hence the training carries on unchanged meanwhile
+    var model = parseModel(JSON.stringify(createModel(agent)));
+    var current = new Agent({ encoding: model.encoding });
+    applyModel(current, model);
+    runEvaluation("Current, trial " + agent.trials, current);
+}
+
+function evaluatePreModel() {
+    var href = window.location.href;
+    var host = href.substring(0, href.lastIndexOf('/'));
+    getText(host + "/" + PRE_TRAINED_MODEL).then(function(data) {
+        // The pre-trained model is played by an agent of its own, leaving the one in training untouched
+        var model = parseModel(data);
+        var preTrained = new Agent({ encoding: model.encoding });
+        applyModel(preTrained, model);
+        runEvaluation("Pre-trained", preTrained);
+    }, function(status) {
+        alert("Failure in loading pre-trained model");
+    });
+}
+
+function importModel(file) {
+    if (!file) {
+        return;
+    }
+    // Read as bytes, the model being either JSON or in binary form
+    var reader = new FileReader();
+    reader.onload = function() {
+        loadModelFrom(reader.result);
+    };
+    reader.readAsArrayBuffer(file);
+}
+
+function getCompactionOptions() {
+    var precision = document.getElementById("compact-precision").value;
+    return {
+        minVisits: parseInt(document.getElementById("compact-min-visits").value) || 0,
+        epsilon: parseFloat(document.getElementById("compact-epsilon").value) || 0,
+        precision: precision === "" ? null : parseInt(precision)
+    };
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? bytes + " B" : (bytes / 1024).toFixed(1) + " KB";
+}
+
+function renderModelSize(label, before, after) {
+    document.getElementById("compaction-report").innerText = label + ": " +
+        before.entries + " to " + after.entries + " entries, " +
+        formatSize(before.jsonSize) + " to " + formatSize(after.jsonSize) + " as JSON, " +
+        formatSize(after.binarySize) + " in binary form";
+}
+
+function compactCurrentModel() {
+    if (agent.learner.usesNetwork) {
+        alert("The model is learnt by a network, it has no Q-table to compact");
+        return;
+    }
+    var result;
+    try {
+        result = compactModel(createModel(agent, { bestScore: hiScore }), getCompactionOptions());
+    } catch (e) {
+        alert("The model could not be compacted: " + e.message);
+        return;
+    }
+    var report = result.report;
+    if (!confirm("Compacting prunes " + (report.pruned.visits + report.pruned.negligible) + " entries" +
+            (report.config.minVisits && !report.hasVisits ? ", none by visits as the model has no visit counts," : "") +
+            " and changes " + report.changedDecisions + " decisions. Go ahead?")) {
+        return;
+    }
+    applyModel(agent, result.model);
+    sessionModel = null;
+    renderModelSize("Compacted", report.before, report.after);
+}
+
+function exportCompactModel() {
+    var model = createModel(agent, { bestScore: hiScore });
+    var precision = getCompactionOptions().precision;
+    var data;
+    try {
+        data = encodeBinaryModel(model, precision);
+    } catch (e) {
+        alert("The model could not be exported: " + e.message);
+        return;
+    }
+    renderModelSize("Exported", measureModel(model), measureModel(model, precision));
+    downloadFile("flappybird-model-" + model.createdAt.replace(/[:.]/g, "-") + ".bin", data, "application/octet-stream");
+}
+
+function mergeModelFrom(file) {
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+        var current = createModel(agent, { bestScore: hiScore }), merged;
+        try {
+            merged = mergeModels(current, parseModel(reader.result), document.getElementById("merge-method").value);
+            applyModel(agent, merged);
+            sessionModel = null;
+        } catch (e) {
+            alert("The models could not be merged: " + e.message);
+            return;
+        }
+        renderModelSize("Merged", measureModel(current), measureModel(merged));
+    };
+    reader.readAsArrayBuffer(file);
+}
+
+// A model file can be dropped anywhere onto the page to be imported
+window.addEventListener("dragover", function(event) {
+    event.preventDefault();
+}, false);
+window.addEventListener("drop", function(event) {
+    event.preventDefault();
+    importModel(event.dataTransfer.files[0]);
+}, false);
+
+function showAgentInSidebar() {
+    // Reflect the configuration of the agent in the sidebar, the exploration only if it matches one of the presets
+    document.getElementById("algorithm").value = agent.learner.config.algorithm;
+    document.getElementById("rewards").value = agent.rewards.config.preset;
+    renderRewardParams();
+    for (var preset in EXPLORATION_PRESETS) {
+        var presetConfig = new Exploration(EXPLORATION_PRESETS[preset]).config;
+        if (JSON.stringify(presetConfig) == JSON.stringify(agent.exploration.config)) {
+            document.getElementById("exploration").value = preset;
+        }
+    }
+    ["speedY", "tubeX", "diffY"].concat(EXTRA_FEATURES).forEach(function(feature) {
+        document.getElementById("bucket-" + feature).value = agent.encoder.config.buckets[feature];
+    });
+    EXTRA_FEATURES.forEach(function(feature) {
+        var isEnabled = agent.encoder.config.features.indexOf(feature) >= 0;
+        document.getElementById("feature-" + feature).checked = isEnabled;
+        document.getElementById("bucket-" + feature).disabled = !isEnabled;
+    });
+    document.getElementById("alpha").value = agent.alpha;
+    document.getElementById("gamma").value = agent.gamma;
+}
+
+var getText = function(url) {
   return new Promise(function(resolve, reject) {
     var xhr = new XMLHttpRequest();
     xhr.open('get', url, true);
-    xhr.responseType = 'json';
+    xhr.responseType = 'text';
     xhr.onload = function() {
       var status = xhr.status;
       if (status == 200) {
@@ -62,10 +756,242 @@ var getJSON = function(url) {
 function loadPreModel() {
     var href = window.location.href;
     var host = href.substring(0, href.lastIndexOf('/'));
-    getJSON(host + "/model/qtable-x3-y6.json").then(function(data) {
-        Q_table = eval(data);
-        alert("Model loaded successfully!");
+    getText(host + "/" + PRE_TRAINED_MODEL).then(function(data) {
+        loadModelFrom(data, PRE_TRAINED_MODEL);
     }, function(status) {
     alert("Failure in loading pre-trained model");
     });
-}
\ No newline at end of file
+}
+/**
+ * Returns the session the page is set up for (see js/session.js), as read from the sidebar and the agent
+ */
+function getSession() {
+    var physics = {}, exploration = findExplorationPreset(agent.exploration.config);
+    // Following a curriculum, the physics are the ones of its current stage, which it sets up anew anyway
+    if (!curriculum) {
+        ENVIRONMENT_FIELDS.concat(["crashOnBounds"]).forEach(function(field) {
+            if (simulation.config[field] !== SIMULATION_DEFAULTS[field]) {
+                physics[field] = simulation.config[field];
+            }
+        });
+    }
+    return createSession({
+        environment: curriculum ? "curriculum" : simulation.isStatic ? "static" : "random",
+        physics: physics,
+        alpha: agent.alpha,
+        gamma: agent.gamma,
+        algorithm: agent.learner.config.algorithm,
+        rewards: agent.rewards.config.preset,
+        exploration: exploration,
+        // Whatever the presets decide upon is left out again by createSession
+        rewardParams: agent.rewards.config,
+        explorationParams: agent.exploration.config,
+        encoding: agent.encoder.config,
+        seed: sessionSeed,
+        speed: 100 - loopDelay,
+        displayTarget: displayTarget,
+        debug: showDebug,
+        model: sessionModel
+    });
+}
+
+// The exploration preset closest to the given configuration, of the same strategy
+function findExplorationPreset(config) {
+    var closest = null, fewest = Infinity;
+    for (var preset in EXPLORATION_PRESETS) {
+        var presetConfig = new Exploration(EXPLORATION_PRESETS[preset]).config, differences = 0;
+        if (presetConfig.strategy != config.strategy) {
+            continue;
+        }
+        for (var key in config) {
+            if (config[key] !== presetConfig[key]) {
+                differences++;
+            }
+        }
+        if (differences < fewest) {
+            closest = preset;
+            fewest = differences;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Sets the page up for a session, the controls of the sidebar along with it
+ * @param {*} session The session, as returned by createSession
+ * @returns {*} A promise resolving once the model of the session, if any, is loaded
+ */
+function applySession(session) {
+    // The physics go first, a curriculum setting up its own stage on top of them
+    var physics = {};
+    for (var key in SIMULATION_DEFAULTS) {
+        physics[key] = (key in session.physics) ? session.physics[key] : SIMULATION_DEFAULTS[key];
+    }
+    simulation.configure(physics);
+    var environment = session.environment.charAt(0).toUpperCase() + session.environment.substring(1);
+    document.getElementById("env").value = environment;
+    environmentChange(environment);
+    if (session.seed !== null) {
+        seedChange(session.seed);
+        document.getElementById("seed").value = sessionSeed;
+    }
+    document.getElementById("tel1").value = session.speed;
+    gameSpeedChange(session.speed);
+    document.getElementById(session.displayTarget ? "showTargetYes" : "showTargetNo").checked = true;
+    toggleDisplayTarget(session.displayTarget ? "Yes" : "No");
+    document.getElementById("show-debug").checked = session.debug;
+    toggleDebugOverlay(session.debug);
+    // The model only loads into an agent of its encoding, which starts afresh when changed
+    if (!agent.encoder.isCompatible(session.encoding)) {
+        agent.setEncoding(session.encoding);
+        sessionModel = null;
+    }
+    // The hyperparameters of the session win over the ones of the model, the learner being only set up anew
+    // when it differs so as to keep what the model brought, e.g. a network
+    function applyHyperparameters() {
+        agent.alpha = session.alpha;
+        agent.gamma = session.gamma;
+        if (agent.learner.config.algorithm != session.algorithm) {
+            algorithmChange(session.algorithm);
+        }
+        agent.rewards = getSessionRewards(session);
+        agent.exploration = getSessionExploration(session);
+        showAgentInSidebar();
+        document.getElementById("exploration").value = session.exploration;
+    }
+    return loadSessionModel(session.model).then(applyHyperparameters, function(e) {
+        applyHyperparameters();
+        throw e;
+    });
+}
+
+function loadSessionModel(model) {
+    if (model === null) {
+        return Promise.resolve();
+    }
+    var data;
+    if (model.indexOf(SESSION_LIBRARY_PREFIX) == 0) {
+        data = modelLibrary.load(model.substring(SESSION_LIBRARY_PREFIX.length));
+    } else {
+        data = getText(model).then(null, function(status) {
+            throw new Error("The model file " + model + " could not be fetched, status " + status);
+        });
+    }
+    return data.then(function(data) {
+        applyModel(agent, parseModel(data));
+        sessionModel = model;
+    });
+}
+
+/**
+ * Sets the page up for the session of the link it was opened with, if any, before the first trial
+ * @returns {*} A promise resolving once done, whether or not the session could be set up
+ */
+function applySessionLink() {
+    var session;
+    try {
+        session = readSessionLink(window.location.search, window.location.hash);
+    } catch (e) {
+        alert("The settings of the link could not be applied: " + e.message);
+        return Promise.resolve();
+    }
+    if (!session) {
+        return Promise.resolve();
+    }
+    return applySession(session).then(null, function(e) {
+        alert("The model of the link could not be loaded: " + e.message);
+    });
+}
+
+function linkSession() {
+    // The link replaces the one of the page, reloading it then sets up the same session again
+    window.history.replaceState(null, "", window.location.pathname + "#" + writeSessionQuery(getSession()));
+    var link = document.getElementById("session-link");
+    link.value = window.location.href;
+    link.hidden = false;
+    link.select();
+    if (navigator.clipboard) {
+        // Left selected to be copied by hand where the clipboard is not available
+        navigator.clipboard.writeText(link.value).then(null, function() {});
+    }
+}
+
+function saveSessionPreset() {
+    var name = document.getElementById("preset-name").value.trim();
+    if (!name) {
+        alert("Please enter a name for the preset");
+        return;
+    }
+    if (sessionPresets.list().indexOf(name) >= 0 && !confirm("Overwrite the preset \"" + name + "\"?")) {
+        return;
+    }
+    sessionPresets.save(name, getSession());
+    renderSessionPresets();
+    document.getElementById("session-preset").value = name;
+}
+
+function applySessionPreset() {
+    var name = document.getElementById("session-preset").value, session;
+    if (!name) {
+        return;
+    }
+    try {
+        session = sessionPresets.load(name);
+    } catch (e) {
+        alert("The preset could not be applied: " + e.message);
+        return;
+    }
+    if (!confirm("Start afresh with the preset \"" + name + "\"? The training so far is lost unless saved.")) {
+        return;
+    }
+    // The page is opened anew from the link of the preset, exactly as from a link shared
+    window.history.replaceState(null, "", window.location.pathname + "#" + writeSessionQuery(session));
+    window.location.reload();
+}
+
+function deleteSessionPreset() {
+    var name = document.getElementById("session-preset").value;
+    if (name && confirm("Delete the preset \"" + name + "\"?")) {
+        sessionPresets.remove(name);
+        renderSessionPresets();
+    }
+}
+
+function exportSessionPreset() {
+    var name = document.getElementById("session-preset").value;
+    if (name) {
+        downloadFile(name + ".json", JSON.stringify(sessionPresets.load(name), null, 2), "application/json");
+    }
+}
+
+function importSessionPreset(file) {
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+        // The preset is named after its file
+        var name = file.name.replace(/\.json$/i, "");
+        try {
+            sessionPresets.save(name, createSession(JSON.parse(reader.result)));
+        } catch (e) {
+            alert("The preset could not be imported: " + e.message);
+            return;
+        }
+        renderSessionPresets();
+        document.getElementById("session-preset").value = name;
+    };
+    reader.readAsText(file);
+}
+
+function renderSessionPresets() {
+    var select = document.getElementById("session-preset");
+    select.innerHTML = "";
+    sessionPresets.list().forEach(function(name) {
+        var option = document.createElement("option");
+        option.value = option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
+window.addEventListener("load", renderSessionPresets, false);
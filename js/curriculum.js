@@ -0,0 +1,85 @@
+/**
+ * The file contains the curriculum of our flappy bird: a sequence of ever harder
+ * environments, starting from the static one, then randomly placed tubes, and
+ * then narrower gaps with larger differences of height between the tubes. The
+ * bird moves on to the next stage once its average score over the most recent
+ * trials of the current stage reaches the threshold of the stage.
+ */
+
+var CURRICULUM_STAGES = [
+  { name: "Static", isStatic: true, threshold: 50, environment: { tubeGapHeight: 12, tubeYVariance: 10 } },
+  { name: "Random", isStatic: false, threshold: 20, environment: { tubeGapHeight: 12, tubeYVariance: 10 } },
+  { name: "Narrow", isStatic: false, threshold: 10, environment: { tubeGapHeight: 11, tubeYVariance: 13 } },
+  { name: "Narrower", isStatic: false, threshold: null, environment: { tubeGapHeight: 10, tubeYVariance: 16 } }
+];
+
+var CURRICULUM_DEFAULTS = {
+  // Number of trials the average score is taken over
+  window: 20,
+  stages: CURRICULUM_STAGES
+};
+
+/**
+ * Creates a new curriculum, at its first stage
+ * @param {*} options Overrides of CURRICULUM_DEFAULTS
+ */
+function Curriculum(options) {
+  options = options || {};
+  this.config = {};
+  for (var name in CURRICULUM_DEFAULTS) {
+    this.config[name] = name in options ? options[name] : CURRICULUM_DEFAULTS[name];
+  }
+  this.stageIndex = 0;
+  this.scores = [];
+}
+
+/**
+ * Returns the current stage
+ */
+Curriculum.prototype.getStage = function() {
+  return this.config.stages[this.stageIndex];
+};
+
+/**
+ * Returns the average score over the most recent trials of the current stage
+ */
+Curriculum.prototype.getAverage = function() {
+  var recent = this.scores.slice(-this.config.window);
+  return recent.reduce(function(sum, score) { return sum + score; }, 0) / (recent.length || 1);
+};
+
+/**
+ * Records the score of a trial, moving on to the next stage when the threshold
+ * of the current one is reached over a full window of trials
+ * @param {*} score The score of the trial
+ * @returns {*} Whether the curriculum moved on to the next stage
+ */
+Curriculum.prototype.record = function(score) {
+  var stage = this.getStage();
+  this.scores.push(score);
+  if (stage.threshold === null || this.stageIndex + 1 >= this.config.stages.length ||
+      this.scores.length < this.config.window || this.getAverage() < stage.threshold) {
+    return false;
+  }
+  this.stageIndex++;
+  this.scores = [];
+  return true;
+};
+
+/**
+ * Sets up the given simulation with the environment of the current stage
+ * @param {*} simulation The simulation (see js/simulation.js)
+ */
+Curriculum.prototype.apply = function(simulation) {
+  var stage = this.getStage();
+  simulation.isStatic = stage.isStatic;
+  simulation.configure(stage.environment);
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Curriculum: Curriculum,
+    CURRICULUM_STAGES: CURRICULUM_STAGES,
+    CURRICULUM_DEFAULTS: CURRICULUM_DEFAULTS
+  };
+}
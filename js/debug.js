@@ -0,0 +1,105 @@
+/**
+ * The script draws the debug overlay of the game, on top of the world, to show
+ * why the bird does what it does:
+ * (1) the decision of the current frame: the encoded state, its extra features
+ * included, the Q-values of both actions as they were when deciding, the action
+ * taken and whether it was exploratory
+ * (2) the last crash: a timeline of the frames rewarded at the end of the lost
+ * episode, one bar per frame from the oldest to the most recent, rising for a
+ * positive reward and falling for a negative one, jumps being marked above it.
+ * The most recent frame is not rewarded, it is only looked ahead to
+ */
+
+var DEBUG_COLORS = { panel: "rgba(0, 0, 0, 0.6)", text: "#FFF", positive: "#6C6", negative: "#E55", none: "#999", jump: "#F90" };
+var DEBUG_FONT_SIZE = 12, DEBUG_PADDING = 6;
+
+/**
+ * Draws the overlay onto the game canvas
+ * @param {*} context The context of the game canvas, at its full scale
+ * @param {*} width The width of the world in the canvas
+ * @param {*} height Its height
+ * @param {*} decision The last decision of the agent, as {state, values, action,
+ * isExploratory}, or null if the bird was left to gravity
+ * @param {*} crash The frames rewarded at the end of the last lost episode, as
+ * kept by the agent in lastEpisode, or null before the first crash
+ */
+function drawDebugOverlay(context, width, height, decision, crash) {
+    var lines;
+    if (decision) {
+        var state = decision.state;
+        lines = ["speedY " + state.speedY + "  tubeX " + state.tubeX + "  diffY " + state.diffY];
+        // The extra features of the encoding, when toggled on (see js/encoding.js)
+        var extra = EXTRA_FEATURES.filter(function(feature) {
+            return feature in state;
+        });
+        if (extra.length) {
+            lines.push(extra.map(function(feature) {
+                return feature + " " + state[feature];
+            }).join("  "));
+        }
+        lines.push(
+            "Q stay " + formatQ(decision.values[0]) + "  jump " + formatQ(decision.values[1]),
+            (decision.action == 1 ? "JUMP" : "STAY") + (decision.isExploratory ? ", exploratory" : "")
+        );
+    } else {
+        lines = ["No decision, the tube is too far"];
+    }
+    context.font = DEBUG_FONT_SIZE + "px monospace";
+    context.textBaseline = "top";
+    drawPanel(context, DEBUG_PADDING, DEBUG_PADDING, lines);
+    if (crash) {
+        drawCrashTimeline(context, width, height, crash);
+    }
+}
+
+function formatQ(value) {
+    return (+value.toFixed(2)).toString();
+}
+
+function drawPanel(context, x, y, lines) {
+    var lineHeight = DEBUG_FONT_SIZE + 2;
+    var panelWidth = Math.max.apply(null, lines.map(function(line) {
+        return context.measureText(line).width;
+    })) + 2 * DEBUG_PADDING;
+    context.fillStyle = DEBUG_COLORS.panel;
+    context.fillRect(x, y, panelWidth, lines.length * lineHeight + 2 * DEBUG_PADDING);
+    context.fillStyle = DEBUG_COLORS.text;
+    lines.forEach(function(line, i) {
+        context.fillText(line, x + DEBUG_PADDING, y + DEBUG_PADDING + i * lineHeight);
+    });
+}
+
+/**
+ * Draws the timeline of the last crash along the bottom of the world
+ */
+function drawCrashTimeline(context, width, height, crash) {
+    var frames = crash.frames, panelHeight = 90, top = height - panelHeight - DEBUG_PADDING;
+    var rewards = frames.filter(function(frame) { return frame.reward !== null; }).map(function(frame) { return frame.reward; });
+    if (!rewards.length) {
+        rewards = [0];
+    }
+    var maxReward = Math.max.apply(null, rewards.map(Math.abs).concat([1]));
+    var title = "Last crash" + (crash.cause ? " into the " + crash.cause.replace("-", " ") : "") + ", " +
+        frames.length + " frames, rewards " + formatQ(Math.min.apply(null, rewards)) + " to " + formatQ(Math.max.apply(null, rewards));
+    context.fillStyle = DEBUG_COLORS.panel;
+    context.fillRect(DEBUG_PADDING, top, width - 2 * DEBUG_PADDING, panelHeight);
+    context.fillStyle = DEBUG_COLORS.text;
+    context.fillText(title, 2 * DEBUG_PADDING, top + DEBUG_PADDING);
+
+    // The bars rise and fall from the middle of the chart, below the title
+    var chartTop = top + DEBUG_FONT_SIZE + 2 * DEBUG_PADDING, chartHeight = panelHeight - (chartTop - top) - DEBUG_PADDING;
+    var baseline = chartTop + chartHeight / 2, chartWidth = width - 4 * DEBUG_PADDING;
+    var barWidth = Math.max(1, Math.min(16, Math.floor(chartWidth / Math.max(1, frames.length))));
+    // Only the most recent frames are drawn when they do not all fit
+    frames = frames.slice(-Math.floor(chartWidth / barWidth));
+    frames.forEach(function(frame, i) {
+        var x = 2 * DEBUG_PADDING + i * barWidth;
+        var barHeight = Math.max(1, Math.round(Math.abs(frame.reward || 0) / maxReward * (chartHeight / 2 - 3)));
+        context.fillStyle = frame.reward === null ? DEBUG_COLORS.none : frame.reward >= 0 ? DEBUG_COLORS.positive : DEBUG_COLORS.negative;
+        context.fillRect(x, frame.reward >= 0 ? baseline - barHeight : baseline, Math.max(1, barWidth - 1), barHeight);
+        if (frame.action == 1) {
+            context.fillStyle = DEBUG_COLORS.jump;
+            context.fillRect(x, chartTop, Math.max(1, barWidth - 1), 2);
+        }
+    });
+}
@@ -0,0 +1,168 @@
+/**
+ * The file contains the deep Q-network of our flappy bird, an alternative to the
+ * Q-table which estimates the Q-values of both actions with a small neural
+ * network (see js/network.js), and thus generalizes between neighbouring states
+ * instead of learning each of them separately.
+ *
+ * (1) The inputs are the raw features of the state (see js/encoding.js), scaled
+ * to roughly [-1, 1], the buckets being of no use to the network
+ * (2) Experience replay: The transitions of the frame buffer are remembered in a
+ * memory and the network is trained on random batches of it, which breaks the
+ * correlation between consecutive frames
+ * (3) Target network: The future values are estimated by a copy of the network
+ * which is only refreshed every so often, which keeps the targets from chasing
+ * the estimates
+ *
+ * Ref: https://www.cs.toronto.edu/~vmnih/docs/dqn.pdf
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var NeuralNetwork = require("./network.js").NeuralNetwork;
+}
+
+/**
+ * Default parameters of the deep Q-network
+ * (1) hidden: The number of units of every hidden layer
+ * (2) learningRate: The step size of the optimizer
+ * (3) batchSize: Number of transitions per batch
+ * (4) batches: Number of batches trained upon at the end of every episode
+ * (5) memorySize: Number of the most recent transitions remembered
+ * (6) targetUpdate: Number of batches between the refreshes of the target network
+ * (7) rewardScale: Factor applied to the rewards, which are in the hundreds for
+ * some of the reward functions
+ */
+var DQN_DEFAULTS = {
+  hidden: [16, 16],
+  learningRate: 0.001,
+  batchSize: 32,
+  batches: 4,
+  memorySize: 10000,
+  targetUpdate: 100,
+  rewardScale: 0.01
+};
+
+// Typical magnitude of every feature, which it is divided by to form the inputs
+var DQN_INPUT_SCALES = { diffY: 32, speedY: 200, tubeX: 32, nextTubeX: 32, nextGapDiffY: 16, birdHeight: 32 };
+
+/**
+ * Creates a new deep Q-network with randomly initialized weights
+ * @param {*} features The features of the state forming the inputs
+ * @param {*} options Overrides for DQN_DEFAULTS
+ * @param {*} random The source of randomness for initializing the weights
+ */
+function DeepQNetwork(features, options, random) {
+  options = options || {};
+  this.features = features.slice();
+  this.config = {};
+  for (var key in options) {
+    if (!(key in DQN_DEFAULTS)) {
+      throw new Error("Unknown parameter of the deep Q-network: " + key);
+    }
+  }
+  for (key in DQN_DEFAULTS) {
+    this.config[key] = (key in options) ? options[key] : DQN_DEFAULTS[key];
+  }
+  this.online = new NeuralNetwork([this.features.length].concat(this.config.hidden, [2]), random);
+  this.target = new NeuralNetwork(this.online.sizes, random);
+  this.target.copyFrom(this.online);
+  this.memory = [];
+  this.memoryIndex = 0;
+  this.batchCount = 0;
+}
+
+/**
+ * Returns the inputs of the network for the given state
+ * @param {*} state The state of the environment
+ */
+DeepQNetwork.prototype.getInputs = function(state) {
+  return this.features.map(function(feature) {
+    return state[feature] / DQN_INPUT_SCALES[feature];
+  });
+};
+
+/**
+ * Returns the estimated Q-values of the given state, indexed by action
+ * @param {*} state The state of the environment
+ */
+DeepQNetwork.prototype.predict = function(state) {
+  return this.online.predict(this.getInputs(state));
+};
+
+/**
+ * Remembers a transition, forgetting the oldest one once the memory is full
+ * @param {*} transition The transition as {state, action, reward, nextState}
+ */
+DeepQNetwork.prototype.remember = function(transition) {
+  if (this.memory.length < this.config.memorySize) {
+    this.memory.push(transition);
+  } else {
+    this.memory[this.memoryIndex] = transition;
+  }
+  this.memoryIndex = (this.memoryIndex + 1) % this.config.memorySize;
+};
+
+/**
+ * Trains the network upon random batches of the memory, moving the value of
+ * each transition towards r + gamma * max_a Q_target(s', a)
+ * @param {*} gamma The discount factor
+ * @param {*} random The source of randomness for sampling the batches
+ * @returns {*} The mean squared error of the last batch
+ */
+DeepQNetwork.prototype.replay = function(gamma, random) {
+  var config = this.config, loss = 0;
+  if (!this.memory.length) {
+    return loss;
+  }
+  for (var b = 0; b < config.batches; b++) {
+    var batch = [];
+    for (var i = 0; i < config.batchSize; i++) {
+      var transition = this.memory[Math.floor(random() * this.memory.length)];
+      var future = Math.max.apply(null, this.target.predict(this.getInputs(transition.nextState)));
+      batch.push({
+        inputs: this.getInputs(transition.state),
+        output: transition.action,
+        target: transition.reward * config.rewardScale + gamma * future
+      });
+    }
+    loss = this.online.train(batch, config.learningRate);
+    if (++this.batchCount % config.targetUpdate == 0) {
+      this.target.copyFrom(this.online);
+    }
+  }
+  return loss;
+};
+
+/**
+ * Returns the features and the weights of the network, leaving out the memory
+ */
+DeepQNetwork.prototype.toJSON = function() {
+  return { features: this.features, weights: this.online.toJSON() };
+};
+
+/**
+ * Recreates a deep Q-network from the result of toJSON, with an empty memory
+ * @param {*} data The features and the weights of the network
+ * @param {*} options Overrides for DQN_DEFAULTS, which must match the layers of
+ * the weights
+ */
+DeepQNetwork.fromJSON = function(data, options) {
+  if (!data || !Array.isArray(data.features)) {
+    throw new Error("The network must list the features of its inputs");
+  }
+  var online = NeuralNetwork.fromJSON(data.weights);
+  var network = new DeepQNetwork(data.features, options);
+  if (online.sizes.join(",") != network.online.sizes.join(",")) {
+    throw new Error("The layers of the network " + JSON.stringify(online.sizes) + " do not match " +
+        JSON.stringify(network.online.sizes));
+  }
+  network.online = online;
+  network.target.copyFrom(online);
+  return network;
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DeepQNetwork: DeepQNetwork,
+    DQN_DEFAULTS: DQN_DEFAULTS
+  };
+}
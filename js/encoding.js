@@ -0,0 +1,149 @@
+/**
+ * The file contains the state encoder of our flappy bird, i.e. how the raw
+ * observation of the environment is turned into the state used as a key of the
+ * Q-table.
+ *
+ * The base features are the ones described in js/brain.js: speedY, tubeX and
+ * diffY. On top of them, a few extra features can be toggled on:
+ * (1) nextTubeX: The X-coordinate of the tube following the next incoming tube
+ * (2) nextGapDiffY: How much higher or lower the gap of that tube is as compared
+ * to the gap of the next incoming tube
+ * (3) birdHeight: The height of the flappy bird from the ground
+ *
+ * Every feature is bucketed before being used as a key, so that neighbouring
+ * values share the same entry in the Q-table. A bucket size of 1 keeps the raw
+ * values, which is the encoding of the pre-trained model.
+ */
+
+// The features in the order in which they form the key of the Q-table
+var BASE_FEATURES = ["diffY", "speedY", "tubeX"];
+var EXTRA_FEATURES = ["nextTubeX", "nextGapDiffY", "birdHeight"];
+
+/**
+ * Default encoding, identical to the original raw state
+ * (1) buckets: The bucket size of each of the features
+ * (2) features: The extra features which are toggled on
+ */
+var ENCODING_DEFAULTS = {
+  buckets: { diffY: 1, speedY: 1, tubeX: 1, nextTubeX: 1, nextGapDiffY: 1, birdHeight: 1 },
+  features: []
+};
+
+/**
+ * Creates a new state encoder
+ * @param {*} options Overrides for ENCODING_DEFAULTS, where buckets can be given
+ * partially
+ */
+function StateEncoder(options) {
+  options = options || {};
+  var buckets = options.buckets || {};
+  this.config = { buckets: {}, features: [] };
+  for (var name in buckets) {
+    if (!(name in ENCODING_DEFAULTS.buckets)) {
+      throw new Error("Unknown feature: " + name);
+    }
+  }
+  for (var feature in ENCODING_DEFAULTS.buckets) {
+    var size = (feature in buckets) ? buckets[feature] : ENCODING_DEFAULTS.buckets[feature];
+    if (!(size > 0)) {
+      throw new Error("Invalid bucket size for " + feature + ": " + size);
+    }
+    this.config.buckets[feature] = size;
+  }
+  var features = options.features || ENCODING_DEFAULTS.features;
+  for (var i = 0; i < features.length; i++) {
+    if (EXTRA_FEATURES.indexOf(features[i]) < 0) {
+      throw new Error("Unknown feature: " + features[i]);
+    }
+  }
+  // Keep the extra features in a fixed order, so that the same set of features
+  // always results in the same keys
+  this.config.features = EXTRA_FEATURES.filter(function(feature) {
+    return features.indexOf(feature) >= 0;
+  });
+}
+
+/**
+ * Returns the index of the tube which the bird must clear next, the bird moving
+ * on to the other tube as soon as it is past the middle of this one
+ * @param {*} observation The observation of the simulation
+ */
+function getTargetTubeIndex(observation) {
+  var birdX = observation.birdX, tubes = observation.tubes;
+  return (birdX < tubes[0].x + 3 && (tubes[0].x < tubes[1].x || tubes[1].x + 3 < birdX)) ? 0 : 1;
+}
+
+/**
+ * Forms the state of the environment from an observation
+ * @param {*} observation The observation of the simulation
+ * @param {*} targetTubeIndex The index of the tube which the bird must clear next
+ */
+StateEncoder.prototype.encode = function(observation, targetTubeIndex) {
+  var targetTube = observation.tubes[targetTubeIndex];
+  var nextTube = observation.tubes[1 - targetTubeIndex];
+  var state = {
+    speedY: Math.round(observation.birdYSpeed * 100),
+    tubeX: targetTube.x,
+    diffY: (targetTube.y + observation.tubeGapCenter) - (observation.birdY + 1)
+  };
+  var features = this.config.features;
+  if (features.indexOf("nextTubeX") >= 0) {
+    state.nextTubeX = nextTube.x;
+  }
+  if (features.indexOf("nextGapDiffY") >= 0) {
+    state.nextGapDiffY = nextTube.y - targetTube.y;
+  }
+  if (features.indexOf("birdHeight") >= 0) {
+    state.birdHeight = observation.floorY - observation.birdY;
+  }
+  return state;
+};
+
+/**
+ * Returns the features of the state, the base ones first and then the extra ones
+ */
+StateEncoder.prototype.getFeatures = function() {
+  return BASE_FEATURES.concat(this.config.features);
+};
+
+/**
+ * Returns the key of the Q-table for the given state-action pair
+ * @param {*} state The state of the environment
+ * @param {*} action The action taken for the given state
+ */
+StateEncoder.prototype.getKey = function(state, action) {
+  var buckets = this.config.buckets;
+  var features = this.getFeatures();
+  var key = [];
+  for (var i = 0; i < features.length; i++) {
+    key.push(Math.floor(state[features[i]] / buckets[features[i]]));
+  }
+  key.push(action);
+  return key.join(",");
+};
+
+/**
+ * Checks if the given encoding results in the same keys as this encoder, which
+ * is required for a Q-table to be of any use. Only the features forming the keys
+ * count, the buckets of the extra features toggled off making no difference
+ * @param {*} config The configuration of the other encoder
+ */
+StateEncoder.prototype.isCompatible = function(config) {
+  var other = new StateEncoder(config), buckets = this.config.buckets;
+  var features = this.getFeatures();
+  if (other.getFeatures().join(",") != features.join(",")) {
+    return false;
+  }
+  return features.every(function(feature) {
+    return other.config.buckets[feature] == buckets[feature];
+  });
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    StateEncoder: StateEncoder,
+    getTargetTubeIndex: getTargetTubeIndex,
+    ENCODING_DEFAULTS: ENCODING_DEFAULTS,
+    EXTRA_FEATURES: EXTRA_FEATURES
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * The given file wraps the flappy bird world into a gym-style environment, so that any agent, and not only
+ * the one of js/brain.js, can play it: reset() starts an episode and step(action) plays a single frame,
+ * returning {observation, reward, done, info}.
+ *
+ * (1) observation: The state of the world as formed for the Q-table by js/encoding.js, i.e. speedY, tubeX
+ * and diffY along with the extra features asked for, without any bucketing
+ * (2) reward: frameReward for every frame survived, plus scoreReward for clearing a tube, or crashReward
+ * for crashing
+ * (3) done: Whether the bird crashed, or the episode was cut short after maxFrames frames
+ * (4) info: The score and frames so far, the seed of the episode, whether the bird scored in this frame,
+ * what it crashed into (see CRASH_CAUSES in js/simulation.js) and whether the episode was cut short
+ *
+ * The environment can also be driven by messages, as by the bridge of tools/bridge.js over a WebSocket or
+ * stdio, or by the page for an external agent playing the visible game:
+ * { type: "describe" } => { actions, features, config }
+ * { type: "reset", seed } => { observation, info }
+ * { type: "step", action } => { observation, reward, done, info }
+ * Errors are answered with { error }.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+    var FlappySimulation = require("./simulation.js").FlappySimulation;
+    var createRandom = require("./random.js").createRandom;
+    var StateEncoder = require("./encoding.js").StateEncoder;
+    var getTargetTubeIndex = require("./encoding.js").getTargetTubeIndex;
+}
+
+/**
+ * Default parameters of the environment
+ * (1) isStatic: Whether the tubes are always placed at the same height
+ * (2) simulation: Overrides of SIMULATION_DEFAULTS (see js/simulation.js)
+ * (3) features: The extra features of the observation (see js/encoding.js)
+ * (4) seed: Seed of the episodes which are reset without one, random if null
+ * (5) maxFrames: Episodes are cut short after this many frames
+ * (6) frameReward, scoreReward, crashReward: The rewards as described above
+ */
+var ENV_DEFAULTS = {
+    isStatic: true,
+    simulation: {},
+    features: [],
+    seed: null,
+    maxFrames: 20000,
+    frameReward: 0.1,
+    scoreReward: 1,
+    crashReward: -1
+};
+
+// The actions of the bird, as in js/brain.js
+var ENV_ACTIONS = { STAY: 0, JUMP: 1 };
+
+/**
+ * Creates a new environment
+ * @param {*} options Overrides for ENV_DEFAULTS
+ * @param {*} simulation Optional simulation to play in, e.g. the one rendered by the page, by default one
+ * of its own set up from the options
+ */
+function FlappyEnv(options, simulation) {
+    options = options || {};
+    this.config = {};
+    for (var key in options) {
+        if (!(key in ENV_DEFAULTS)) {
+            throw new Error("Unknown parameter of the environment: " + key);
+        }
+    }
+    for (key in ENV_DEFAULTS) {
+        this.config[key] = (key in options) ? options[key] : ENV_DEFAULTS[key];
+    }
+    this.encoder = new StateEncoder({ features: this.config.features });
+    if (!simulation) {
+        simulation = new FlappySimulation({ isStatic: this.config.isStatic });
+        simulation.configure(this.config.simulation);
+    }
+    this.simulation = simulation;
+    this.random = this.config.seed === null ? Math.random : createRandom(this.config.seed);
+    this.isDone = true;
+}
+
+/**
+ * Starts a new episode
+ * @param {*} seed Optional seed the tubes of the episode are placed with
+ * @returns {*} The first observation of the episode
+ */
+FlappyEnv.prototype.reset = function(seed) {
+    if (seed === undefined || seed === null) {
+        seed = Math.floor(this.random() * 4294967296);
+    }
+    this.simulation.reset(seed);
+    this.isDone = false;
+    return this.getObservation();
+};
+
+/**
+ * Plays a single frame
+ * @param {*} action The action of the bird, 0 to stay or 1 to jump
+ * @returns {*} The result of the frame as {observation, reward, done, info}
+ */
+FlappyEnv.prototype.step = function(action) {
+    var config = this.config, simulation = this.simulation;
+    if (this.isDone) {
+        throw new Error("The episode is over, reset the environment first");
+    }
+    if (action !== ENV_ACTIONS.STAY && action !== ENV_ACTIONS.JUMP) {
+        throw new Error("Invalid action: " + action + ", expected 0 (stay) or 1 (jump)");
+    }
+    if (action == ENV_ACTIONS.JUMP) {
+        simulation.jump();
+    }
+    var events = simulation.step();
+    var truncated = !events.crashed && simulation.frames >= config.maxFrames;
+    this.isDone = events.crashed || truncated;
+    var reward = events.crashed ? config.crashReward : config.frameReward + (events.scored ? config.scoreReward : 0);
+    var info = this.getInfo();
+    info.scored = events.scored;
+    info.cause = events.cause;
+    info.truncated = truncated;
+    return { observation: this.getObservation(), reward: reward, done: this.isDone, info: info };
+};
+
+/**
+ * Returns the state of the world as observed by the agent
+ */
+FlappyEnv.prototype.getObservation = function() {
+    var observation = this.simulation.getObservation();
+    return this.encoder.encode(observation, getTargetTubeIndex(observation));
+};
+
+/**
+ * Returns how the episode is going, as {score, frames, seed}
+ */
+FlappyEnv.prototype.getInfo = function() {
+    return { score: this.simulation.score, frames: this.simulation.frames, seed: this.simulation.seed };
+};
+
+/**
+ * Describes the actions, the features of the observation and the configuration of the environment, the
+ * world being the one of the simulation played in
+ */
+FlappyEnv.prototype.describe = function() {
+    var config = {};
+    for (var key in this.config) {
+        config[key] = this.config[key];
+    }
+    config.isStatic = this.simulation.isStatic;
+    config.simulation = this.simulation.config;
+    return { actions: ENV_ACTIONS, features: this.encoder.getFeatures(), config: config };
+};
+
+/**
+ * Answers a message as described above
+ * @param {*} message The message, as {type, seed} or {type, action}
+ */
+FlappyEnv.prototype.handle = function(message) {
+    try {
+        switch (message && message.type) {
+            case "describe":
+                return this.describe();
+            case "reset":
+                return { observation: this.reset(message.seed), info: this.getInfo() };
+            case "step":
+                return this.step(message.action);
+            default:
+                throw new Error("Unknown message type: " + (message && message.type));
+        }
+    } catch (e) {
+        return { error: e.message };
+    }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        FlappyEnv: FlappyEnv,
+        ENV_DEFAULTS: ENV_DEFAULTS,
+        ENV_ACTIONS: ENV_ACTIONS
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * The file evaluates what our flappy bird has learnt, separately from its
+ * training. The agent is frozen (see Agent.isFrozen in js/brain.js), i.e. it
+ * neither explores nor updates its Q-table, and plays a fixed batch of episodes
+ * whose tubes are placed from seeds derived from a single evaluation seed. As the
+ * tie-breaking of the agent is seeded per episode as well, two agents evaluated
+ * with the same options face exactly the same tubes, which makes the comparison
+ * between them fair.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var FlappySimulation = require("./simulation.js").FlappySimulation;
+  var createRandom = require("./random.js").createRandom;
+}
+
+var EVALUATION_DEFAULTS = {
+  // Number of episodes to play
+  episodes: 20,
+  // Seed from which the tubes of every episode are placed
+  seed: 1,
+  // Whether the tubes are always placed at the same height
+  isStatic: false,
+  // Episodes are cut short after this many frames, as a perfect bird never crashes
+  maxFrames: 20000,
+  // Overrides of SIMULATION_DEFAULTS (see js/simulation.js)
+  simulation: {}
+};
+
+// Time spent playing episodes before handing over to the page, in ms (see evaluateAgentInChunks)
+var EVALUATION_CHUNK_TIME = 20;
+
+/**
+ * Plays the batch of evaluation episodes with the given agent, leaving its
+ * Q-table, visits, trials and ongoing episode untouched
+ * @param {*} agent The agent to evaluate
+ * @param {*} options Overrides of EVALUATION_DEFAULTS
+ * @returns {*} The report as {episodes, seed, isStatic, scores, frames, capped,
+ * causes, score, survivalFrames} where score and survivalFrames summarize their
+ * episodes as {mean, median, min, max}, capped counts the episodes cut short and
+ * causes counts the others by what the bird crashed into
+ */
+function evaluateAgent(agent, options) {
+  var evaluation = startEvaluation(agent, options);
+  playEpisodes(evaluation, Infinity);
+  return finishEvaluation(evaluation);
+}
+
+/**
+ * Plays the same batch of episodes as evaluateAgent, a chunk of them at a time
+ * with the page handed over to in between, so that a long evaluation does not
+ * freeze it. The agent is left untouched in between the chunks as well, but the
+ * agent in training is better evaluated by a copy, as it would otherwise keep
+ * learning in the middle of its evaluation
+ * @param {*} agent The agent to evaluate
+ * @param {*} options Overrides of EVALUATION_DEFAULTS
+ * @param {*} onProgress Optional, called with the number of episodes played
+ * after every chunk
+ * @returns {*} A promise of the report of evaluateAgent
+ */
+function evaluateAgentInChunks(agent, options, onProgress) {
+  var evaluation = startEvaluation(agent, options);
+  return new Promise(function(resolve, reject) {
+    function run() {
+      try {
+        playEpisodes(evaluation, EVALUATION_CHUNK_TIME);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      if (evaluation.episode < evaluation.config.episodes) {
+        if (onProgress) {
+          onProgress(evaluation.episode);
+        }
+        setTimeout(run, 0);
+      } else {
+        resolve(finishEvaluation(evaluation));
+      }
+    }
+    setTimeout(run, 0);
+  });
+}
+
+/**
+ * Sets up the simulation, the seeds and the report of an evaluation
+ */
+function startEvaluation(agent, options) {
+  var config = {};
+  options = options || {};
+  for (var name in EVALUATION_DEFAULTS) {
+    config[name] = name in options ? options[name] : EVALUATION_DEFAULTS[name];
+  }
+  var simulationOptions = { isStatic: config.isStatic };
+  for (var key in config.simulation) {
+    simulationOptions[key] = config.simulation[key];
+  }
+  return {
+    agent: agent,
+    config: config,
+    simulation: new FlappySimulation(simulationOptions),
+    seeds: createRandom(config.seed),
+    episode: 0,
+    report: { episodes: config.episodes, seed: config.seed, isStatic: config.isStatic, scores: [], frames: [], capped: 0, causes: {} }
+  };
+}
+
+/**
+ * Plays the episodes of the evaluation left to play, until the given time is up
+ * @param {*} evaluation The evaluation, as returned by startEvaluation
+ * @param {*} time The time to play for in ms, the episode under way being
+ * played to its end
+ */
+function playEpisodes(evaluation, time) {
+  var agent = evaluation.agent, simulation = evaluation.simulation, config = evaluation.config, report = evaluation.report;
+  var start = Date.now();
+
+  // The state of the agent which is changed by playing
+  var saved = {
+    isFrozen: agent.isFrozen,
+    random: agent.random,
+    targetTubeIndex: agent.targetTubeIndex,
+    targetTube: agent.targetTube
+  };
+  agent.isFrozen = true;
+  try {
+    while (evaluation.episode < config.episodes && Date.now() - start < time) {
+      var seed = Math.floor(evaluation.seeds() * 4294967296);
+      simulation.reset(seed);
+      agent.random = createRandom(seed);
+      agent.targetTubeIndex = -1;
+      while (!simulation.isOver && simulation.frames < config.maxFrames) {
+        if (agent.nextStep(simulation.getObservation()) == 1) {
+          simulation.jump();
+        }
+        simulation.step();
+      }
+      report.scores.push(simulation.score);
+      report.frames.push(simulation.frames);
+      if (!simulation.isOver) {
+        report.capped++;
+      } else {
+        report.causes[simulation.cause] = (report.causes[simulation.cause] || 0) + 1;
+      }
+      evaluation.episode++;
+    }
+  } finally {
+    for (var property in saved) {
+      agent[property] = saved[property];
+    }
+  }
+}
+
+/**
+ * Summarizes the episodes played into the report of the evaluation
+ */
+function finishEvaluation(evaluation) {
+  var report = evaluation.report;
+  report.score = summarize(report.scores);
+  report.survivalFrames = summarize(report.frames);
+  return report;
+}
+
+/**
+ * Returns the mean, median, min and max of the given values
+ */
+function summarize(values) {
+  var sorted = values.slice().sort(function(a, b) { return a - b; });
+  var middle = Math.floor(sorted.length / 2);
+  return {
+    mean: sorted.reduce(function(sum, value) { return sum + value; }, 0) / (sorted.length || 1),
+    median: sorted.length % 2 ? sorted[middle] : (sorted.length ? (sorted[middle - 1] + sorted[middle]) / 2 : 0),
+    min: sorted.length ? sorted[0] : 0,
+    max: sorted.length ? sorted[sorted.length - 1] : 0
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    evaluateAgent: evaluateAgent,
+    evaluateAgentInChunks: evaluateAgentInChunks,
+    summarize: summarize,
+    EVALUATION_DEFAULTS: EVALUATION_DEFAULTS
+  };
+}
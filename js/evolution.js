@@ -0,0 +1,313 @@
+/**
+ * The file evolves a population of flappy birds instead of training a single
+ * one. Every bird of a generation flies through the same tubes, each in its own
+ * simulation reset with the same seed, and is driven by a policy of its own:
+ * (1) network: The weights of a small neural network (see js/network.js), which
+ * only evolve, the bird playing greedily by them without learning
+ * (2) table: A Q-table, which the bird keeps refining by Q-learning while it
+ * flies, and which is passed on to the next generation as learnt
+ *
+ * Once all of the birds have crashed, the next generation is bred from the
+ * fittest ones, the fitness being the number of frames survived:
+ * (1) Elitism: The best birds are carried over as they are
+ * (2) Selection: Parents are picked by tournament, the fittest of a few random
+ * birds winning
+ * (3) Crossover: Every weight, or entry of the Q-table, is taken from either
+ * parent at random
+ * (4) Mutation: Every weight, or entry of the Q-table, is perturbed by gaussian
+ * noise with some probability
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var Agent = require("./brain.js").Agent;
+  var StateEncoder = require("./encoding.js").StateEncoder;
+  var FlappySimulation = require("./simulation.js").FlappySimulation;
+  var NeuralNetwork = require("./network.js").NeuralNetwork;
+  var gaussian = require("./network.js").gaussian;
+  var DeepQNetwork = require("./dqn.js").DeepQNetwork;
+}
+
+/**
+ * Default parameters of the evolution
+ * (1) size: Number of birds of every generation
+ * (2) policy: Either network or table
+ * (3) hidden: The number of units of every hidden layer of the networks
+ * (4) elites: Number of the best birds carried over to the next generation
+ * (5) tournamentSize: Number of birds competing to become a parent
+ * (6) mutationRate: Probability of a weight, or entry, to be mutated
+ * (7) mutationScale: Standard deviation of the mutations of the weights, the
+ * entries of the Q-table being mutated relatively to their own magnitude
+ * (8) maxFrames: Generations are cut short after this many frames
+ */
+var EVOLUTION_DEFAULTS = {
+  size: 50,
+  policy: "network",
+  hidden: [8],
+  elites: 5,
+  tournamentSize: 3,
+  mutationRate: 0.1,
+  mutationScale: 0.5,
+  maxFrames: 20000
+};
+
+/**
+ * Creates the first generation of a population
+ * @param {*} options Overrides for EVOLUTION_DEFAULTS, plus the encoding of the
+ * states (see js/encoding.js), the qTable the table policies start from, the
+ * options of their agents, e.g. alpha, gamma, learner, exploration and rewards
+ * (see js/brain.js), the options of the simulations (see js/simulation.js) and
+ * random
+ */
+function Population(options) {
+  options = options || {};
+  this.config = {};
+  for (var key in EVOLUTION_DEFAULTS) {
+    this.config[key] = (key in options) ? options[key] : EVOLUTION_DEFAULTS[key];
+  }
+  if (this.config.policy != "network" && this.config.policy != "table") {
+    throw new Error("Unknown policy of the population: " + this.config.policy);
+  }
+  this.encoding = options.encoding;
+  this.agentOptions = options.agent || {};
+  this.simulationOptions = options.simulation || {};
+  this.random = options.random || Math.random;
+  this.generation = 0;
+  this.history = [];
+  this.bestScore = 0;
+
+  var genomes = [];
+  for (var i = 0; i < this.config.size; i++) {
+    genomes.push(this.config.policy == "network" ? this.createNetwork() : copyTable(options.qTable || {}));
+  }
+  this.genomes = genomes;
+  this.birds = [];
+}
+
+/**
+ * Creates a network with random weights, for the features of the encoding
+ */
+Population.prototype.createNetwork = function() {
+  var features = new StateEncoder(this.encoding).getFeatures();
+  return new NeuralNetwork([features.length].concat(this.config.hidden, [2]), this.random);
+};
+
+/**
+ * Creates the agent flying by the given genome
+ */
+Population.prototype.createAgent = function(genome) {
+  if (this.config.policy == "table") {
+    var options = { Q_table: copyTable(genome), encoding: this.encoding, random: this.random };
+    for (var key in this.agentOptions) {
+      if (!(key in options)) {
+        options[key] = this.agentOptions[key];
+      }
+    }
+    // A network has no Q-table to be evolved, such birds learn by Q-learning
+    if (options.learner && options.learner.algorithm == "dqn") {
+      delete options.learner;
+    }
+    return new Agent(options);
+  }
+  var agent = new Agent({ learner: { algorithm: "dqn", network: { hidden: this.config.hidden } }, encoding: this.encoding, random: this.random });
+  agent.learner.network = new DeepQNetwork(agent.encoder.getFeatures(), { hidden: this.config.hidden }, this.random);
+  agent.learner.network.online = genome;
+  agent.learner.network.target.copyFrom(genome);
+  agent.isFrozen = true;
+  return agent;
+};
+
+/**
+ * Creates an agent, which is no longer frozen, from a copy of the policy of the
+ * fittest bird of the last generation, the elites leading the current one
+ */
+Population.prototype.createBestAgent = function() {
+  var genome = this.genomes[0];
+  var agent = this.createAgent(this.config.policy == "table" ? genome : NeuralNetwork.fromJSON(genome.toJSON()));
+  agent.isFrozen = false;
+  return agent;
+};
+
+/**
+ * Puts every bird of the current generation at the start of the same tubes
+ * @param {*} seed The seed the tubes of every simulation are placed with
+ */
+Population.prototype.startGeneration = function(seed) {
+  var self = this;
+  this.frames = 0;
+  this.birds = this.genomes.map(function(genome) {
+    var simulation = new FlappySimulation(self.simulationOptions);
+    simulation.reset(seed);
+    return { genome: genome, agent: self.createAgent(genome), simulation: simulation };
+  });
+};
+
+/**
+ * Advances every bird which is still flying by a single frame
+ * @returns {*} The number of birds still flying
+ */
+Population.prototype.step = function() {
+  var alive = 0;
+  this.frames++;
+  for (var i = 0; i < this.birds.length; i++) {
+    var bird = this.birds[i], simulation = bird.simulation;
+    if (simulation.isOver) {
+      continue;
+    }
+    if (bird.agent.nextStep(simulation.getObservation()) == 1) {
+      simulation.jump();
+    }
+    if (simulation.step().crashed) {
+      bird.agent.triggerGameOver(simulation.cause);
+    } else {
+      alive++;
+    }
+  }
+  return alive;
+};
+
+/**
+ * Whether every bird has crashed, or the generation ran for too long
+ */
+Population.prototype.isOver = function() {
+  return this.frames >= this.config.maxFrames || this.birds.every(function(bird) {
+    return bird.simulation.isOver;
+  });
+};
+
+/**
+ * Returns the birds of the current generation, the fittest first
+ */
+Population.prototype.getRanking = function() {
+  return this.birds.slice().sort(function(a, b) {
+    return b.simulation.frames - a.simulation.frames;
+  });
+};
+
+/**
+ * Breeds the next generation from the current one
+ * @returns {*} The statistics of the generation which ended, as {generation,
+ * bestScore, meanScore, bestFrames, meanFrames}
+ */
+Population.prototype.evolve = function() {
+  var config = this.config;
+  var ranking = this.getRanking();
+  // The table policies pass on what they have learnt while flying
+  var parents = ranking.map(function(bird) {
+    return { genome: config.policy == "table" ? bird.agent.Q_table : bird.genome, fitness: bird.simulation.frames };
+  });
+  var scores = ranking.map(function(bird) { return bird.simulation.score; });
+  var frames = ranking.map(function(bird) { return bird.simulation.frames; });
+  var stats = {
+    generation: this.generation,
+    bestScore: Math.max.apply(null, scores),
+    meanScore: mean(scores),
+    bestFrames: frames[0],
+    meanFrames: mean(frames)
+  };
+  this.history.push(stats);
+  this.bestScore = Math.max(this.bestScore, stats.bestScore);
+
+  var genomes = parents.slice(0, config.elites).map(function(parent) { return parent.genome; });
+  while (genomes.length < config.size) {
+    var child = this.crossover(this.select(parents).genome, this.select(parents).genome);
+    genomes.push(this.mutate(child));
+  }
+  this.genomes = genomes;
+  this.generation++;
+  return stats;
+};
+
+/**
+ * Picks a parent by tournament
+ */
+Population.prototype.select = function(parents) {
+  var winner = null;
+  for (var i = 0; i < this.config.tournamentSize; i++) {
+    var candidate = parents[Math.floor(this.random() * parents.length)];
+    if (!winner || candidate.fitness > winner.fitness) {
+      winner = candidate;
+    }
+  }
+  return winner;
+};
+
+/**
+ * Returns a child taking every weight, or entry, from either parent at random
+ */
+Population.prototype.crossover = function(mother, father) {
+  var random = this.random;
+  if (this.config.policy == "table") {
+    var table = copyTable(mother);
+    for (var key in father) {
+      if (!(key in table) || random() < 0.5) {
+        table[key] = father[key];
+      }
+    }
+    return table;
+  }
+  var mix = function(layers, otherLayers) {
+    return layers.map(function(values, l) {
+      return values.map(function(value, i) {
+        return random() < 0.5 ? value : otherLayers[l][i];
+      });
+    });
+  };
+  var child = NeuralNetwork.fromJSON(mother.toJSON());
+  child.weights = mix(mother.weights, father.weights);
+  child.biases = mix(mother.biases, father.biases);
+  return child;
+};
+
+/**
+ * Perturbs the weights, or entries, of the given genome in place
+ */
+Population.prototype.mutate = function(genome) {
+  var config = this.config, random = this.random;
+  var perturb = function(value, scale) {
+    return random() < config.mutationRate ? value + gaussian(random) * scale : value;
+  };
+  if (config.policy == "table") {
+    for (var key in genome) {
+      genome[key] = perturb(genome[key], config.mutationScale * Math.max(1, Math.abs(genome[key])));
+    }
+    return genome;
+  }
+  var mutateLayer = function(values) {
+    return values.map(function(value) { return perturb(value, config.mutationScale); });
+  };
+  genome.weights = genome.weights.map(mutateLayer);
+  genome.biases = genome.biases.map(mutateLayer);
+  return genome;
+};
+
+/**
+ * Plays a whole generation without rendering it and breeds the next one
+ * @param {*} seed The seed the tubes are placed with
+ * @returns {*} The statistics of the generation, as returned by evolve
+ */
+Population.prototype.runGeneration = function(seed) {
+  this.startGeneration(seed);
+  while (!this.isOver()) {
+    this.step();
+  }
+  return this.evolve();
+};
+
+function copyTable(table) {
+  var copy = {};
+  for (var key in table) {
+    copy[key] = table[key];
+  }
+  return copy;
+}
+
+function mean(values) {
+  return values.reduce(function(sum, value) { return sum + value; }, 0) / (values.length || 1);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Population: Population,
+    EVOLUTION_DEFAULTS: EVOLUTION_DEFAULTS
+  };
+}
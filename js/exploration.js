@@ -0,0 +1,243 @@
+/**
+ * The file contains the exploration strategies available to our flappy bird, i.e.
+ * how it decides between following the Q-table (exploitation) and trying out
+ * something new (exploration).
+ *
+ * (1) greedy: Always follow the Q-table, ties are broken by jumping 1 out of 25
+ * times, which was the original behaviour of our flappy bird
+ * (2) epsilon-greedy: Take a random action with a probability epsilon, which can
+ * decay linearly or exponentially over the trials
+ * (3) softmax: Pick an action with a probability proportional to exp(Q/T), where
+ * the temperature T can decay the same way as epsilon
+ * (4) ucb: Upper confidence bound, favouring the actions which have rarely been
+ * visited in the given state
+ */
+
+/**
+ * Default parameters of the exploration strategies
+ * (1) epsilon, minEpsilon: Initial and final probability of a random action
+ * (2) temperature, minTemperature: Initial and final temperature of softmax
+ * (3) decay: How the above decays over the trials, "none", "linear" or
+ * "exponential"
+ * (4) decayTrials: Number of trials after which the final value is reached
+ * (5) c: Weight of the exploration bonus in UCB
+ */
+var EXPLORATION_DEFAULTS = {
+  strategy: "greedy",
+  epsilon: 0.1,
+  minEpsilon: 0.001,
+  temperature: 1,
+  minTemperature: 0.05,
+  decay: "none",
+  decayTrials: 1000,
+  c: 1
+};
+
+// The lowest temperature of softmax, which is as good as greedy already, a
+// temperature of 0 dividing by zero
+var MIN_SOFTMAX_TEMPERATURE = 0.001;
+
+// Named configurations which can be chosen from the sidebar or the trainer
+var EXPLORATION_PRESETS = {
+  "greedy": { strategy: "greedy" },
+  "epsilon-linear": { strategy: "epsilon-greedy", decay: "linear" },
+  "epsilon-exponential": { strategy: "epsilon-greedy", decay: "exponential" },
+  "softmax": { strategy: "softmax", decay: "exponential" },
+  "ucb": { strategy: "ucb" }
+};
+
+/**
+ * Creates a new exploration strategy
+ * @param {*} options Overrides for EXPLORATION_DEFAULTS
+ */
+function Exploration(options) {
+  options = options || {};
+  this.config = {};
+  for (var key in EXPLORATION_DEFAULTS) {
+    this.config[key] = (key in options) ? options[key] : EXPLORATION_DEFAULTS[key];
+  }
+  if (!(this.config.strategy in explorationStrategies)) {
+    throw new Error("Unknown exploration strategy: " + this.config.strategy);
+  }
+}
+
+/**
+ * Interpolates from the initial to the final value according to the decay
+ * schedule
+ * @param {*} start The value at the very first trial
+ * @param {*} end The value once decayTrials trials have been played
+ * @param {*} trials The number of trials played so far
+ */
+Exploration.prototype.decay = function(start, end, trials) {
+  var progress = Math.min(1, trials / this.config.decayTrials);
+  if (this.config.decay == "linear") {
+    return start + (end - start) * progress;
+  } else if (this.config.decay == "exponential") {
+    // Nothing decays exponentially from 0, hence it rises linearly instead
+    if (start == 0) {
+      return end * progress;
+    }
+    return start * Math.pow(end / start, progress);
+  }
+  return start;
+};
+
+/**
+ * Returns the current exploration rate, i.e. epsilon, the temperature or the UCB
+ * weight depending upon the strategy
+ * @param {*} trials The number of trials played so far
+ */
+Exploration.prototype.getRate = function(trials) {
+  var config = this.config;
+  switch (config.strategy) {
+    case "epsilon-greedy":
+      return this.decay(config.epsilon, config.minEpsilon, trials);
+    case "softmax":
+      return this.decay(config.temperature, config.minTemperature, trials);
+    case "ucb":
+      return config.c;
+  }
+  return 0;
+};
+
+/**
+ * Selects the action to be taken given the Q-values of all the actions of a state
+ * @param {*} values The Q-values, indexed by action
+ * @param {*} visits The number of times each action was taken in the state
+ * @param {*} trials The number of trials played so far
+ * @param {*} random The source of randomness
+ * @returns {*} The action along with whether it was exploratory, i.e. not the
+ * one preferred by the Q-table
+ */
+Exploration.prototype.selectAction = function(values, visits, trials, random) {
+  var greedy = greedyAction(values, random);
+  var action = explorationStrategies[this.config.strategy].call(this, values, visits, trials, random);
+  if (action === null) {
+    action = greedy;
+  }
+  return { action: action, isExploratory: values[action] < values[greedy] };
+};
+
+/**
+ * Returns the probability of each action being selected by selectAction
+ * @param {*} values The Q-values, indexed by action
+ * @param {*} visits The number of times each action was taken in the state
+ * @param {*} trials The number of trials played so far
+ */
+Exploration.prototype.getProbabilities = function(values, visits, trials) {
+  var probabilities = greedyProbabilities(values);
+  var action;
+  switch (this.config.strategy) {
+    case "epsilon-greedy":
+      var epsilon = this.getRate(trials);
+      for (action = 0; action < values.length; action++) {
+        probabilities[action] = epsilon / values.length + (1 - epsilon) * probabilities[action];
+      }
+      break;
+    case "softmax":
+      var weights = softmaxWeights(values, this.getRate(trials));
+      var total = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+      for (action = 0; action < values.length; action++) {
+        probabilities[action] = weights[action] / total;
+      }
+      break;
+    case "ucb":
+      probabilities = greedyProbabilities(ucbBounds(values, visits, this.config.c));
+      break;
+  }
+  return probabilities;
+};
+
+/**
+ * Returns the action with the highest value. When the values are the same, we
+ * determine randomly the action to be taken. Generally, the probability of
+ * jumping (1) is lower as compared to stay (0) to mimic the natural scenario, we
+ * press jump much less occasionally than we let the flappy bird fall
+ * @param {*} values The values, indexed by action as in the actionSet
+ * @param {*} random The source of randomness
+ */
+function greedyAction(values, random) {
+  var best = 0;
+  for (var action = 1; action < values.length; action++) {
+    if (values[action] > values[best]) {
+      best = action;
+    }
+  }
+  for (action = 0; action < values.length; action++) {
+    if (action != best && values[action] == values[best]) {
+      return (Math.ceil(random() * 100) % 25 == 0) ? 1 : 0;
+    }
+  }
+  return best;
+}
+
+// Probability of each action being returned by greedyAction
+function greedyProbabilities(values) {
+  var max = Math.max.apply(null, values);
+  var best = values.filter(function(value) { return value == max; }).length;
+  return values.map(function(value, action) {
+    if (best == 1) {
+      return value == max ? 1 : 0;
+    }
+    // A tie is broken by jumping 1 out of 25 times
+    return action == 1 ? 1 / 25 : 24 / 25;
+  });
+}
+
+// Relative weights exp(Q/T) of the actions for softmax
+function softmaxWeights(values, temperature) {
+  temperature = Math.max(temperature, MIN_SOFTMAX_TEMPERATURE);
+  // Subtracting the maximum keeps exp() from overflowing
+  var max = Math.max.apply(null, values);
+  return values.map(function(value) {
+    return Math.exp((value - max) / temperature);
+  });
+}
+
+// The upper confidence bounds of the actions, an action never taken in the
+// state is always worth a try
+function ucbBounds(values, visits, c) {
+  var total = visits.reduce(function(sum, count) { return sum + count; }, 0);
+  return values.map(function(value, action) {
+    return visits[action] == 0 ? Infinity : value + c * Math.sqrt(Math.log(total) / visits[action]);
+  });
+}
+
+// The strategies return the action to be taken, or null to follow the Q-table
+var explorationStrategies = {
+  "greedy": function() {
+    return null;
+  },
+
+  "epsilon-greedy": function(values, visits, trials, random) {
+    if (random() < this.getRate(trials)) {
+      return Math.floor(random() * values.length);
+    }
+    return null;
+  },
+
+  "softmax": function(values, visits, trials, random) {
+    var weights = softmaxWeights(values, this.getRate(trials));
+    var total = weights.reduce(function(sum, weight) { return sum + weight; }, 0);
+    var pick = random() * total;
+    for (var action = 0; action < values.length - 1; action++) {
+      pick -= weights[action];
+      if (pick < 0) {
+        return action;
+      }
+    }
+    return values.length - 1;
+  },
+
+  "ucb": function(values, visits, trials, random) {
+    return greedyAction(ucbBounds(values, visits, this.config.c), random);
+  }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Exploration: Exploration,
+    EXPLORATION_DEFAULTS: EXPLORATION_DEFAULTS,
+    EXPLORATION_PRESETS: EXPLORATION_PRESETS
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * The script draws what our flappy bird has learnt as a heatmap of its Q-table.
+ * The Q-table is sliced by speedY and every cell of the slice is a (tubeX, diffY)
+ * state, colored according to one of the modes:
+ * (1) action: The preferred action, orange for JUMP and blue for STAY
+ * (2) margin: The preferred action, brighter the more it is preferred, i.e. the
+ * larger the difference between the Q-values of JUMP and STAY
+ * (3) visits: How often the state was visited
+ *
+ * With extra features in the state encoding, all of the states sharing the same
+ * speedY, tubeX and diffY are averaged into the same cell.
+ */
+
+// Position of the base features, and of the action, within the keys of the Q-table
+var KEY_DIFF_Y = 0, KEY_SPEED_Y = 1, KEY_TUBE_X = 2;
+
+/**
+ * Gathers the cells of the Q-table slice with the given speedY
+ * @param {*} agent The agent whose Q-table is to be sliced
+ * @param {*} speedY The bucketed speedY of the slice
+ * @returns {*} The cells keyed by "tubeX,diffY", each with the average values
+ * and the visits per action, along with the ranges of tubeX and diffY and all
+ * the speedY buckets found in the Q-table
+ */
+function buildPolicySlice(agent, speedY) {
+    var slice = { cells: {}, tubeX: [Infinity, -Infinity], diffY: [Infinity, -Infinity], speeds: [] };
+    var speeds = {};
+    var keys = Object.keys(agent.Q_table);
+    if (agent.learner.usesTwoTables) {
+        keys = keys.concat(Object.keys(agent.Q_table_B).filter(function(key) {
+            return !(key in agent.Q_table);
+        }));
+    }
+    keys.forEach(function(key) {
+        var parts = key.split(",").map(Number);
+        var tubeX = parts[KEY_TUBE_X], diffY = parts[KEY_DIFF_Y], action = parts[parts.length - 1];
+        speeds[parts[KEY_SPEED_Y]] = true;
+        slice.tubeX = [Math.min(slice.tubeX[0], tubeX), Math.max(slice.tubeX[1], tubeX)];
+        slice.diffY = [Math.min(slice.diffY[0], diffY), Math.max(slice.diffY[1], diffY)];
+        if (parts[KEY_SPEED_Y] != speedY) {
+            return;
+        }
+        var value = agent.Q_table[key] || 0;
+        if (agent.learner.usesTwoTables) {
+            value = (value + (agent.Q_table_B[key] || 0)) / 2;
+        }
+        var cellKey = tubeX + "," + diffY;
+        var cell = slice.cells[cellKey] || (slice.cells[cellKey] = { values: [0, 0], entries: [0, 0], visits: 0 });
+        cell.values[action] += value;
+        cell.entries[action]++;
+        cell.visits += agent.visits[key] || 0;
+    });
+    for (var cellKey in slice.cells) {
+        var cell = slice.cells[cellKey];
+        cell.values = cell.values.map(function(value, action) {
+            return cell.entries[action] ? value / cell.entries[action] : 0;
+        });
+    }
+    slice.speeds = Object.keys(speeds).map(Number).sort(function(a, b) { return a - b; });
+    return slice;
+}
+
+/**
+ * Returns the bucketed (speedY, tubeX, diffY) of the given state
+ * @param {*} agent The agent whose encoder buckets the state
+ * @param {*} state The state of the environment
+ */
+function getStateCell(agent, state) {
+    var parts = agent.encoder.getKey(state, 0).split(",").map(Number);
+    return { speedY: parts[KEY_SPEED_Y], tubeX: parts[KEY_TUBE_X], diffY: parts[KEY_DIFF_Y] };
+}
+
+/**
+ * Draws the heatmap of the slice onto the given canvas
+ * @param {*} canvas The canvas to draw onto
+ * @param {*} slice The slice, as returned by buildPolicySlice
+ * @param {*} mode One of "action", "margin" or "visits"
+ * @param {*} current The cell the bird currently occupies, as returned by
+ * getStateCell, highlighted when within the slice
+ */
+function drawPolicyHeatmap(canvas, slice, mode, current) {
+    var chart = canvas.getContext("2d");
+    var width = canvas.width, height = canvas.height, padding = 20;
+    chart.fillStyle = "#FFF";
+    chart.fillRect(0, 0, width, height);
+    if (slice.tubeX[0] > slice.tubeX[1]) {
+        chart.fillStyle = "#222";
+        chart.font = "10px sans-serif";
+        chart.fillText("Nothing learnt yet", padding, height / 2);
+        return;
+    }
+
+    var columns = slice.tubeX[1] - slice.tubeX[0] + 1;
+    var rows = slice.diffY[1] - slice.diffY[0] + 1;
+    var cellWidth = (width - padding) / columns, cellHeight = (height - padding) / rows;
+    var maxMargin = 0, maxVisits = 0, cellKey, cell;
+    for (cellKey in slice.cells) {
+        cell = slice.cells[cellKey];
+        maxMargin = Math.max(maxMargin, Math.abs(cell.values[1] - cell.values[0]));
+        maxVisits = Math.max(maxVisits, cell.visits);
+    }
+
+    for (cellKey in slice.cells) {
+        cell = slice.cells[cellKey];
+        var position = cellKey.split(",").map(Number);
+        chart.fillStyle = getCellColor(cell, mode, maxMargin, maxVisits);
+        // diffY grows upwards, i.e. the higher the cell, the higher the bird above the gap
+        chart.fillRect(padding + (position[0] - slice.tubeX[0]) * cellWidth,
+            (slice.diffY[1] - position[1]) * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+    }
+
+    if (current && current.tubeX >= slice.tubeX[0] && current.tubeX <= slice.tubeX[1] &&
+            current.diffY >= slice.diffY[0] && current.diffY <= slice.diffY[1]) {
+        chart.strokeStyle = "#F00";
+        chart.lineWidth = 2;
+        chart.strokeRect(padding + (current.tubeX - slice.tubeX[0]) * cellWidth - 1,
+            (slice.diffY[1] - current.diffY) * cellHeight - 1, cellWidth + 2, cellHeight + 2);
+        chart.lineWidth = 1;
+    }
+
+    chart.fillStyle = "#222";
+    chart.font = "10px sans-serif";
+    chart.fillText("tubeX " + slice.tubeX[0] + " to " + slice.tubeX[1], padding, height - 5);
+    chart.save();
+    chart.translate(12, height - padding);
+    chart.rotate(-Math.PI / 2);
+    chart.fillText("diffY " + slice.diffY[0] + " to " + slice.diffY[1], 0, 0);
+    chart.restore();
+}
+
+function getCellColor(cell, mode, maxMargin, maxVisits) {
+    if (mode == "visits") {
+        // Logarithmic, as a handful of states are visited far more than the rest
+        var heat = maxVisits ? Math.log(1 + cell.visits) / Math.log(1 + maxVisits) : 0;
+        return "rgb(" + Math.round(255 * heat) + "," + Math.round(80 * heat) + ",0)";
+    }
+    var margin = cell.values[1] - cell.values[0];
+    if (margin == 0) {
+        return "#CCC";
+    }
+    var strength = (mode == "margin" && maxMargin) ? 0.15 + 0.85 * Math.abs(margin) / maxMargin : 1;
+    return margin > 0 ? "rgba(255,140,0," + strength + ")" : "rgba(0,90,255," + strength + ")";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        buildPolicySlice: buildPolicySlice,
+        getStateCell: getStateCell
+    };
+}
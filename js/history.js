@@ -0,0 +1,85 @@
+/**
+ * The file contains the training history of our flappy bird, i.e. how every
+ * trial went: the score, the frames survived, the size of the Q-table, the
+ * exploration rate at the time and what the bird crashed into. It is used to plot
+ * the learning curves in the sidebar and can be exported as CSV to compare runs.
+ */
+
+var HISTORY_COLUMNS = ["trial", "score", "frames", "rules", "explorationRate", "cause"];
+
+/**
+ * Creates a new, empty, training history
+ */
+function TrainingHistory() {
+  this.entries = [];
+}
+
+/**
+ * Records the result of a trial
+ * @param {*} entry The trial as {trial, score, frames, rules, explorationRate,
+ * cause}, the cause being one of CRASH_CAUSES (see js/simulation.js) or null
+ */
+TrainingHistory.prototype.record = function(entry) {
+  var row = {};
+  for (var i = 0; i < HISTORY_COLUMNS.length; i++) {
+    row[HISTORY_COLUMNS[i]] = entry[HISTORY_COLUMNS[i]];
+  }
+  this.entries.push(row);
+};
+
+/**
+ * Returns the moving average of the given column over the given number of trials,
+ * one value per trial, averaging over fewer trials at the very beginning
+ * @param {*} column The column to average, by default the score
+ * @param {*} size The number of trials to average over
+ */
+TrainingHistory.prototype.movingAverage = function(column, size) {
+  var averages = [], sum = 0;
+  for (var i = 0; i < this.entries.length; i++) {
+    sum += this.entries[i][column];
+    if (i >= size) {
+      sum -= this.entries[i - size][column];
+    }
+    averages.push(sum / Math.min(i + 1, size));
+  }
+  return averages;
+};
+
+/**
+ * Counts the values of the given column over the given number of most recent
+ * trials, e.g. how often the bird crashed into each obstacle
+ * @param {*} column The column whose values are counted
+ * @param {*} size The number of trials to count over
+ * @returns {*} The number of trials keyed by value, leaving out missing values
+ */
+TrainingHistory.prototype.countValues = function(column, size) {
+  var counts = {};
+  this.entries.slice(-size).forEach(function(entry) {
+    var value = entry[column];
+    if (value !== null && value !== undefined) {
+      counts[value] = (counts[value] || 0) + 1;
+    }
+  });
+  return counts;
+};
+
+/**
+ * Returns the history as CSV, with a header row, missing values being left empty
+ */
+TrainingHistory.prototype.toCSV = function() {
+  var lines = [HISTORY_COLUMNS.join(",")];
+  for (var i = 0; i < this.entries.length; i++) {
+    var entry = this.entries[i];
+    lines.push(HISTORY_COLUMNS.map(function(column) {
+      return (entry[column] === null || entry[column] === undefined) ? "" : entry[column];
+    }).join(","));
+  }
+  return lines.join("\n") + "\n";
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TrainingHistory: TrainingHistory,
+    HISTORY_COLUMNS: HISTORY_COLUMNS
+  };
+}
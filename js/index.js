@@ -1,6 +1,7 @@
 /**
  * The given file contains handlers responsible for setting up the environment for our flappy bird.
- * All the associated functions and events corresponding to simulating our flappy bird sits here.
+ * All the associated functions and events corresponding to rendering our flappy bird sits here, while the
+ * physics, tubes and collisions are stepped by the headless simulation in js/simulation.js.
  * The script forms the most basic 32x32 pixel gameplay for flappy bird, ideally developed for the #lowrezjam2014
  * challenge (http://jams.gamejolt.io/lowrezjam2014)
  * The script can be configured for various environmental parameters like gameplay speed, gravity, tubes position etc. 
@@ -15,14 +16,17 @@ var readyStateCheckInterval = setInterval( function() {
     }
 }, 100);
 
-var eventLoop;
+// The game loop, run every loopDelay ms unless the game is paused
+var eventLoop, loopDelay = 40;
 
 var bgLoc = {x:0, y:0, width:32, height:32};
 var groundLoc = {x:0, y:31, width:35, height:1};
 var instructionsLoc = {x:6, y:49, width:17, height:21};
 var gameOverLoc = {x:6, y:32, width:21, height:17};
 var birdLocs = [{x:32, y:0, width:5, height:3}, {x:32, y:3, width:5, height:3}, {x:32, y:6, width:5, height:3}];
-var tubeLoc = {x:0, y:32, width:6, height:44};
+// The tube sprite is drawn in pieces around the gap, so that the gap can be narrowed and the tubes extended
+var tubeTopLoc = {x:0, y:32, width:6, height:15}, tubeTopLipLoc = {x:0, y:47, width:6, height:2};
+var tubeBottomLipLoc = {x:0, y:61, width:6, height:1}, tubeBottomLoc = {x:0, y:62, width:6, height:14};
 
 var hiscoreLoc = {x:6, y:70, width:30, height:10};
 var scoreLocs = [32, 9, 27, 32, 32, 32, 27, 41, 32, 41, 27, 50, 32, 50, 27, 59, 32, 59, 32, 18];
@@ -41,42 +45,89 @@ var renderCanvas = document.createElement("canvas");
 renderCanvas.width = renderCanvas.height = 32;
 var renderContext = renderCanvas.getContext("2d");
 renderContext.globalCompositeOperation = "destination-over";
-var collisionCanvas = document.createElement("canvas");
+
+// The world itself lives in the headless simulation, the page only renders it
+var simulation = new FlappySimulation({ isStatic: true });
+
+// Every trial is seeded from the seed of the session, as are the decisions of the agent, so that a run
+// can be reproduced and any of its trials replayed
+var sessionSeed = Math.floor(Math.random() * 4294967296), sessionRandom = createRandom(sessionSeed);
+var recorder = new EpisodeRecorder(), replay = null;
+
+// Who plays the game: the agent while it trains, a human player whom the agent silently learns from, a
+// human player against the model in a split-screen, both worlds having the same tubes, a whole population
+// of birds evolving through the same tubes (see js/evolution.js), or an agent written elsewhere which drives
+// the game through the bridge of tools/bridge.js (see js/env.js)
+var AGENT_PLAYS = 0, HUMAN_PLAYS = 1, HUMAN_VS_MODEL = 2, POPULATION_EVOLVES = 3, EXTERNAL_PLAYS = 4;
+var playMode = AGENT_PLAYS, humanJumped = false;
+var opponent = null, opponentSimulation = new FlappySimulation({ isStatic: true }), versusWins = [0, 0];
+var population = null;
+var external = null;
+
+// The frames rewarded at the end of the last trial, as kept by the agent, for the debug overlay
+var lastCrash = null;
+
+// Training at full speed in a Web Worker (see js/worker.js), while the page renders either every few frames
+// of the training or showcase episodes played by the policy learnt so far
+var SHOW_TRAINING = "training", SHOW_SHOWCASE = "showcase";
+var fastForward = null;
 
 function drawSpriteSheetImage(context, locRect, x, y){
     context.drawImage(spriteSheetImage, locRect.x, locRect.y, locRect.width, locRect.height, x, y, locRect.width, locRect.height);
  }
 
-var canvas, context, gameState, score, groundX = 0, birdY, birdYSpeed, birdX = 5, birdFrame = 0, activeTube, tubes = [], collisionContext, scale, scoreLoc = {width:5, height:9}, hiScore = 0;
-var HOME = 0, GAME = 1, GAME_OVER = 2, HI_SCORE = 3;
+var canvas, context, agent, trainingHistory, gameState, groundX = 0, birdFrame = 0, gameOverTicks = 0, scale, scoreLoc = {width:5, height:9}, hiScore = 0;
+var HOME = 0, GAME = 1, GAME_OVER = 2, HI_SCORE = 3, REPLAY = 4, FAST_FORWARD = 5;
 
 function initGame(){
     canvas = document.getElementById("gameCanvas");
     context = canvas.getContext("2d");
+    // The flappy bird agent which learns to play the game
+    agent = new Agent({ random: sessionRandom });
+    // Results of every trial, plotted as the learning curve in the sidebar
+    trainingHistory = new TrainingHistory();
+    // The sidebar reflects the configuration of the agent, e.g. the parameters of its rewards
+    showAgentInSidebar();
     scale = 12;
-    canvas.width = scale * 32;
-    canvas.height = scale * 32;
-    canvas.style.left = window.innerWidth / 2 - (scale * 32) / 2 + "px";
-    canvas.style.top = window.innerHeight / 2 - (scale * 32) / 2 + "px";
+    resizeCanvas();
     window.addEventListener( "keydown", handleUserInteraction, false );
     canvas.addEventListener('touchstart', handleUserInteraction, false);
     canvas.addEventListener('mousedown', handleUserInteraction, false);
-    collisionCanvas.width = birdX + 8;
-    collisionCanvas.height = 32;
-    collisionContext = collisionCanvas.getContext("2d");
-    collisionContext.globalCompositeOperation = "xor";
-    startGame();
-    // Set the speed of the game
-    eventLoop = setInterval(loop, 40);
+    // The session of the link the page was opened with, if any, is set up before the first trial so that the
+    // link reproduces the whole run (see js/session.js)
+    applySessionLink().then(function() {
+        startGame();
+        // Set the speed of the game
+        eventLoop = setInterval(loop, loopDelay);
+    });
+}
+
+/**
+ * Sizes the canvas to a single world, or to two side by side for the split-screen
+ */
+function resizeCanvas(){
+    var width = scale * 32 * (playMode == HUMAN_VS_MODEL ? 2 : 1);
+    canvas.width = width;
+    canvas.height = scale * 32;
+    canvas.style.left = window.innerWidth / 2 - width / 2 + "px";
+    canvas.style.top = window.innerHeight / 2 - (scale * 32) / 2 + "px";
 }
 
 function startGame(){
     gameState = HOME;
-    birdYSpeed = score = 0;
-    birdY = 14;
-    for(var i = 0; i < 2; i++){
-        tubes[i] = {x : Math.round(48 + i * 19) };
-        setTubeY(tubes[i]);
+    var seed = Math.floor(sessionRandom() * 4294967296);
+    simulation.reset(seed);
+    if(playMode == HUMAN_VS_MODEL){
+        startVersus(seed);
+    }
+    if(playMode == POPULATION_EVOLVES){
+        // The birds of the population fly in the environment set up for the training
+        var options = { isStatic: simulation.isStatic };
+        for(var key in simulation.config){
+            options[key] = simulation.config[key];
+        }
+        population.simulationOptions = options;
+        population.startGeneration(seed);
     }
 }
 
@@ -86,18 +137,57 @@ function loop(){
             renderHome();
             break;
         case GAME : 
-            nextStep();
-            renderGame();
+            if(playMode == POPULATION_EVOLVES){
+                updatePopulation();
+                renderPopulation();
+                break;
+            }
+            if(playMode == EXTERNAL_PLAYS){
+                updateExternal();
+                renderGame();
+                break;
+            }
+            if(playMode == AGENT_PLAYS){
+                if(agent.nextStep(simulation.getObservation()) == actionSet.JUMP){
+                    simulation.jump();
+                }
+            } else {
+                playHuman();
+            }
+            if(playMode == HUMAN_VS_MODEL){
+                updateVersus();
+                renderVersus();
+            } else {
+                updateGame();
+                renderGame();
+            }
             break;
         case GAME_OVER: 
+            if(playMode == HUMAN_VS_MODEL){
+                renderVersus();
+                break;
+            }
             renderGameOver();
-            // We'll keep looping over the game to train our flappy bird
-            startGame();
-            gameState = GAME
+            // We'll keep looping over the game to train our flappy bird, while human players restart by themselves
+            if(playMode == AGENT_PLAYS){
+                startGame();
+                gameState = GAME
+            }
             break;
         case HI_SCORE : 
             renderHiScore();
             break;
+        case REPLAY :
+            // The replay pauses by itself at the end of the trial
+            if(replay.isPlaying && !replay.step()){
+                replay.isPlaying = false;
+            }
+            renderGame(replay.simulation, replay);
+            renderReplayControls();
+            break;
+        case FAST_FORWARD :
+            renderFastForward();
+            break;
     }
     
 }
@@ -106,10 +196,23 @@ function handleUserInteraction(event){
     switch(gameState){
         case HOME: gameState = GAME;
             break;
-        case GAME : birdYSpeed = -1.4;
+        case GAME :
+            if(playMode == AGENT_PLAYS){
+                simulation.jump();
+            } else if(playMode != POPULATION_EVOLVES){
+                humanJumped = true;
+            }
+            break;
+        case GAME_OVER:
+            if(playMode != AGENT_PLAYS){
+                startGame();
+                gameState = GAME;
+            }
             break;
         case HI_SCORE: startGame();
             break;
+        case REPLAY: handleReplayInteraction(event);
+            break;
     }
     if(event){
         event.preventDefault();
@@ -125,27 +228,73 @@ function renderHome(){
     renderToScale();
 }
 
-function renderGame(){
+function updateGame(){
+    var events = simulation.step();
+    if(events.crashed){
+        gameState = GAME_OVER;
+        if(simulation.score > hiScore){
+            hiScore = simulation.score + 0;
+        }
+        var explorationRate = agent.exploration.getRate(agent.trials);
+        agent.triggerGameOver(events.cause);
+        lastCrash = agent.lastEpisode;
+        console.log("GameOver:", simulation.score, Object.keys(agent.Q_table).length, agent.trials, events.cause);
+        trainingHistory.record({
+            trial: agent.trials,
+            score: simulation.score,
+            frames: simulation.frames,
+            rules: Object.keys(agent.Q_table).length,
+            explorationRate: explorationRate,
+            cause: events.cause
+        });
+        renderLearningCurve();
+        recorder.record(simulation, agent.trials);
+        if(curriculum && curriculum.record(simulation.score)){
+            curriculum.apply(simulation);
+            renderEnvironment();
+        }
+        renderReplayList();
+    }
+}
+
+/**
+ * Renders the world of the given simulation, by default the one the agent is trained in
+ * @param {*} world The simulation to render
+ * @param {*} replay The replay the simulation belongs to, if any, whose progress is shown
+ * as a bar along the ground
+ */
+function renderGame(world, replay){
+    world = world || simulation;
     renderContext.clearRect(0,0,32,32);
-    collisionContext.clearRect(0,0,collisionCanvas.width, collisionCanvas.height);
-    renderScore(score, renderScoreXGame, 1);
-    renderGround(true);
-    renderTubes();
-    updateBirdGame();
-    checkCollision();
-    if (displayTarget) {
+    if (replay) {
         renderContext.fillStyle = "#F00";
-        renderContext.fillRect(targetTube.x + 3, (targetTube.y+17+6), 1, 1);
+        renderContext.fillRect(0, 31, Math.round(32 * replay.frame / replay.recording.actions.length), 1);
+    }
+    renderScore(world.score, renderScoreXGame, 1);
+    renderGround(!replay || replay.isPlaying);
+    renderTubes(world);
+    renderBirdGame(world);
+    // The heatmap is costly to build from a large Q-table, hence it is refreshed only every few frames
+    if (world == simulation && simulation.frames % 10 == 0) {
+        renderPolicyHeatmap();
+    }
+    if (world == simulation && displayTarget && agent.targetTubeIndex >= 0) {
+        var targetTube = simulation.tubes[agent.targetTubeIndex];
+        renderContext.fillStyle = "#F00";
+        renderContext.fillRect(targetTube.x + 3, targetTube.y + simulation.getObservation().tubeGapCenter, 1, 1);
     }
     drawSpriteSheetImage(renderContext, bgLoc, 0, 0);
     renderToScale();
+    if (world == simulation && showDebug) {
+        renderDebugOverlay();
+    }
 }
 
 function renderGameOver(){
     renderContext.clearRect(0, 0, 32, 32);
     drawSpriteSheetImage(renderContext, gameOverLoc, 5, 7 - birdFrame);
     renderToScale();
-    if(++score % 8 == 0){
+    if(++gameOverTicks % 8 == 0){
         birdFrame++;
         birdFrame %= 2;
     }
@@ -159,29 +308,12 @@ function renderHiScore(){
     renderToScale();
 }
 
-function renderToScale(){
+function renderToScale(offsetX){
     var i, data = renderContext.getImageData(0,0,32, 32).data;
+    offsetX = offsetX || 0;
     for(i=0; i<data.length; i+=4){
         context.fillStyle = "rgb("+data[i]+","+data[i+1]+","+data[i+2]+")";
-        context.fillRect(((i/4) % 32) * scale, Math.floor(i / 128) * scale, scale, scale);
-    }
-}
-
-function checkCollision(){
-    if(birdX == tubes[activeTube].x + 6){
-        score++;
-    }
-    var collisionData = collisionContext.getImageData(birdX, birdY, 5, 3).data;
-    var data = renderContext.getImageData(birdX, birdY, 5, 3).data;
-    for(var i = 0; i< collisionData.length; i+=4){
-        if(collisionData[i+3] != data[i+3]){
-            gameState = GAME_OVER;
-            if(score > hiScore){
-                hiScore = score + 0;
-            }
-            triggerGameOver();
-            break;
-        }
+        context.fillRect(offsetX + ((i/4) % 32) * scale, Math.floor(i / 128) * scale, scale, scale);
     }
 }
 
@@ -196,8 +328,9 @@ function renderScore(score, xFunction, y){
     }
     var curMaxScore = Math.max(parseInt(document.getElementById("score").innerText), parseInt(score));
     document.getElementById("score").innerText = curMaxScore.toString();
-    document.getElementById("rules").innerText = Object.keys(Q_table).length;
-    document.getElementById("trials").innerText = trials;
+    document.getElementById("rules").innerText = Object.keys(agent.Q_table).length;
+    document.getElementById("trials").innerText = agent.trials;
+    document.getElementById("exploration-rate").innerText = +agent.exploration.getRate(agent.trials).toFixed(4);
 }
 
 function renderScoreXGame(index, total){
@@ -216,54 +349,426 @@ function renderGround(move){
 }
 
 function updateBirdHome(){
-    drawSpriteSheetImage(renderContext, birdLocs[birdFrame], birdX, birdY);
+    drawSpriteSheetImage(renderContext, birdLocs[birdFrame], simulation.birdX, simulation.config.birdStartY);
     birdFrame++;
     birdFrame %= 3;
 }
 
-function updateBirdGame(){
-    birdY = Math.round(birdY + birdYSpeed);
-    // Gravity for the environment
-    birdYSpeed += .25;
-    if(birdY < 0){
-        birdY = 0;
-        birdYSpeed = 0;
-    }
-    if(birdY + 5 > bgLoc.height){
-        birdY = 28;
-        birdYSpeed = 0;
-    }
-    renderContext.save();
-    collisionContext.save();
-    renderContext.translate(birdX, birdY);
-    collisionContext.translate(birdX, birdY);
-    drawSpriteSheetImage(renderContext, birdLocs[birdFrame], 0, 0);
-    drawSpriteSheetImage(collisionContext, birdLocs[birdFrame], 0, 0);
-    renderContext.restore();
-    collisionContext.restore();
-    birdFrame++;
-    birdFrame %= 3;
+function renderBirdGame(world){
+    drawSpriteSheetImage(renderContext, birdLocs[world.birdFrame], world.birdX, world.birdY);
 }
 
-function renderTubes(){
-    var i, tube;
-    activeTube = tubes[0].x < tubes[1].x ? 0 : 1;
-    for(i= 0; i < 2;i++){
-        tube = tubes[i];
-        if(--tube.x <= -6 ){
-            tube.x = 32;
-            setTubeY(tube);
+function renderTubes(world){
+    var gapTop = world.getGapTop(), gapBottom = gapTop + world.config.tubeGapHeight;
+    for(var i = 0; i < world.tubes.length; i++){
+        var tube = world.tubes[i], y;
+        drawSpriteSheetImage(renderContext, tubeTopLipLoc, tube.x, tube.y + gapTop - 2);
+        for(y = tube.y + gapTop - 2 - tubeTopLoc.height; y + tubeTopLoc.height > 0; y -= tubeTopLoc.height){
+            drawSpriteSheetImage(renderContext, tubeTopLoc, tube.x, y);
+        }
+        drawSpriteSheetImage(renderContext, tubeBottomLipLoc, tube.x, tube.y + gapBottom);
+        for(y = tube.y + gapBottom + 1; y < 32; y += tubeBottomLoc.height){
+            drawSpriteSheetImage(renderContext, tubeBottomLoc, tube.x, y);
         }
-        drawSpriteSheetImage(renderContext, tubeLoc, tube.x, tube.y );
-        drawSpriteSheetImage(collisionContext, tubeLoc, tube.x, tube.y );
     }
 }
 
-function setTubeY(tube){
-    // Sets the y-coordinate for tubes depending upon if the given environment should be deterministic or stochastic
-    if (isEnvironmentStatic) {
-        tube.y = Math.floor(0.639 * (bgLoc.height - tubeLoc.height));
+/**
+ * Replays the recording of the given trial in the canvas, the training resumes once the replay is stopped
+ * @param {*} recording The recording of the trial, as kept by the recorder
+ */
+function startReplay(recording){
+    replay = new EpisodeReplay(recording);
+    replay.isPlaying = true;
+    if(gameState != REPLAY){
+        replay.resumeState = gameState;
+    }
+    gameState = REPLAY;
+}
+
+function stopReplay(){
+    gameState = replay.resumeState;
+    replay = null;
+    renderReplayControls();
+}
+
+/**
+ * While replaying, a click or touch on the bar along the ground scrubs through the trial, anywhere else
+ * it pauses or resumes. The arrow keys step a frame back and forth, escape stops the replay and any other
+ * key pauses or resumes.
+ */
+function handleReplayInteraction(event){
+    if(!event){
+        replay.isPlaying = !replay.isPlaying;
+        return;
+    }
+    if(event.type == "keydown"){
+        if(event.key == "ArrowRight" || event.key == "ArrowLeft"){
+            replay.isPlaying = false;
+            replay.seek(replay.frame + (event.key == "ArrowRight" ? 1 : -1));
+        } else if(event.key == "Escape"){
+            stopReplay();
+        } else {
+            replay.isPlaying = !replay.isPlaying;
+        }
+        return;
+    }
+    var point = event.touches ? event.touches[0] : event;
+    var bounds = canvas.getBoundingClientRect();
+    var x = (point.clientX - bounds.left) / scale, y = (point.clientY - bounds.top) / scale;
+    if(y >= 29){
+        replay.seek(Math.round(x / 32 * replay.recording.actions.length));
     } else {
-        tube.y = Math.floor(Math.random() * (bgLoc.height - tubeLoc.height + 2));
+        replay.isPlaying = !replay.isPlaying;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Plays the jump of the human player, if any since the previous frame. When the human plays alone, the agent
+ * stays silent but records the state-action pairs of the player and learns from them at the end of every
+ * episode as it would from its own
+ */
+function playHuman(){
+    var action = humanJumped ? actionSet.JUMP : actionSet.STAY;
+    humanJumped = false;
+    if(playMode == HUMAN_PLAYS){
+        agent.nextStep(simulation.getObservation(), action);
+    }
+    if(action == actionSet.JUMP){
+        simulation.jump();
+    }
+}
+
+/**
+ * Returns the options the agent in training was created with, i.e. its learner, exploration, rewards, encoding
+ * and hyperparameters, so that the agents playing alongside it are set up like it (see js/brain.js)
+ * @param {*} options Further options of the new agent, e.g. its Q_table and random
+ */
+function getAgentOptions(options){
+    var agentOptions = {
+        alpha: agent.alpha,
+        gamma: agent.gamma,
+        learner: agent.learner.config,
+        exploration: agent.exploration.config,
+        rewards: agent.rewards.config,
+        encoding: agent.encoder.config
+    };
+    for (var key in options) {
+        agentOptions[key] = options[key];
+    }
+    return agentOptions;
+}
+
+/**
+ * Starts a match between the human player, in the training world, and the model learnt so far, in a world of
+ * its own with the same tubes. The model only plays, the agent in training is left untouched
+ * @param {*} seed The seed both worlds place their tubes with
+ */
+function startVersus(seed){
+    opponent = new Agent(getAgentOptions({
+        Q_table: agent.Q_table,
+        Q_table_B: agent.Q_table_B,
+        random: createRandom(seed)
+    }));
+    opponent.learner.network = agent.learner.network;
+    opponent.isFrozen = true;
+    opponentSimulation.isStatic = simulation.isStatic;
+    opponentSimulation.configure(simulation.config);
+    opponentSimulation.reset(seed);
+}
+
+function updateVersus(){
+    if(!simulation.isOver){
+        simulation.step();
+    }
+    if(!opponentSimulation.isOver){
+        if(opponent.nextStep(opponentSimulation.getObservation()) == actionSet.JUMP){
+            opponentSimulation.jump();
+        }
+        opponentSimulation.step();
+    }
+    if(simulation.isOver && opponentSimulation.isOver){
+        gameState = GAME_OVER;
+        if(simulation.score != opponentSimulation.score){
+            versusWins[simulation.score > opponentSimulation.score ? 0 : 1]++;
+        }
+        renderVersusScore();
+    }
+}
+
+/**
+ * Renders the world of the human player on the left and the one of the model on the right, each with its score
+ */
+function renderVersus(){
+    [simulation, opponentSimulation].forEach(function(world, i){
+        renderContext.clearRect(0,0,32,32);
+        renderScore(world.score, renderScoreXGame, 1);
+        renderGround(i == 0 && gameState == GAME);
+        renderTubes(world);
+        renderBirdGame(world);
+        drawSpriteSheetImage(renderContext, bgLoc, 0, 0);
+        renderToScale(i * 32 * scale);
+    });
+    renderVersusScore();
+}
+
+/**
+ * Advances every bird of the population, breeding the next generation once they have all crashed
+ */
+function updatePopulation(){
+    population.step();
+    if(population.isOver()){
+        var stats = population.evolve();
+        hiScore = Math.max(hiScore, stats.bestScore);
+        renderEvolution();
+        startGame();
+        gameState = GAME;
+    }
+}
+
+/**
+ * Renders the tubes, which are the same for the whole population, along with every bird still flying, all of
+ * them semi-transparent but the one ahead
+ */
+function renderPopulation(){
+    var ranking = population.getRanking(), leader = ranking[0].simulation;
+    renderContext.clearRect(0,0,32,32);
+    renderScore(leader.score, renderScoreXGame, 1);
+    renderGround(true);
+    renderTubes(leader);
+    renderBirdGame(leader);
+    renderContext.globalAlpha = 0.3;
+    for(var i = 1; i < ranking.length; i++){
+        if(!ranking[i].simulation.isOver){
+            renderBirdGame(ranking[i].simulation);
+        }
+    }
+    renderContext.globalAlpha = 1;
+    drawSpriteSheetImage(renderContext, bgLoc, 0, 0);
+    renderToScale();
+    if(population.frames % 10 == 0){
+        renderEvolution();
+    }
+}
+
+/**
+ * Hands the training of the agent over to a Web Worker, which trains it from where it is at full speed
+ * @param {*} show What the page shows meanwhile, either SHOW_TRAINING or SHOW_SHOWCASE
+ * @param {*} renderEvery Every how many frames of the training a world is taken to be shown
+ */
+function startFastForward(show, renderEvery){
+    var worker;
+    try {
+        worker = new Worker("js/worker.js");
+    } catch(e) {
+        alert("Training in the background requires the page to be served over http: " + e.message);
+        return false;
+    }
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = function(event){
+        alert("The training in the background failed: " + event.message);
+        fastForward.worker.terminate();
+        resumeFromFastForward();
+    };
+    worker.postMessage({
+        type: "start",
+        model: createModel(agent, { bestScore: hiScore }),
+        environment: { isStatic: simulation.isStatic, config: simulation.config },
+        curriculum: curriculum ? { stageIndex: curriculum.stageIndex, scores: curriculum.scores } : null,
+        seed: Math.floor(sessionRandom() * 4294967296),
+        renderEvery: renderEvery
+    });
+    fastForward = { worker: worker, show: show, isPaused: false, isStopping: false, world: null, showcase: null,
+        trials: 0, startTime: Date.now() };
+    gameState = FAST_FORWARD;
+    return true;
+}
+
+/**
+ * Asks the worker to stop, the training resumes in the page once the worker has handed back the agent
+ */
+function stopFastForward(){
+    fastForward.isStopping = true;
+    fastForward.worker.postMessage({ type: "stop" });
+}
+
+function pauseFastForward(isPaused){
+    fastForward.isPaused = isPaused;
+    fastForward.worker.postMessage({ type: isPaused ? "pause" : "resume" });
+}
+
+/**
+ * Takes in the progress of the training in the worker: the trials, the world to render, the stage of the
+ * curriculum and from time to time the agent itself
+ */
+function handleWorkerMessage(event){
+    var message = event.data;
+    message.trials.forEach(function(entry){
+        trainingHistory.record(entry);
+        hiScore = Math.max(hiScore, entry.score);
+    });
+    fastForward.trials += message.trials.length;
+    if(message.trials.length){
+        renderLearningCurve();
+    }
+    if(message.world){
+        fastForward.world = new FlappySimulation(message.world.config);
+        for(var key in message.world){
+            fastForward.world[key] = message.world[key];
+        }
+    }
+    if(message.curriculum && curriculum){
+        var stageIndex = curriculum.stageIndex;
+        curriculum.stageIndex = message.curriculum.stageIndex;
+        curriculum.scores = message.curriculum.scores;
+        if(stageIndex != curriculum.stageIndex){
+            curriculum.apply(simulation);
+            renderEnvironment();
+        }
+    }
+    if(message.model){
+        applyModel(agent, message.model);
+        renderPolicyHeatmap();
+    }
+    if(message.isStopped){
+        fastForward.worker.terminate();
+        resumeFromFastForward();
+    }
+    renderTrainingControls();
+}
+
+/**
+ * Resumes the training in the page, with a new episode as the one interrupted by the worker was abandoned
+ */
+function resumeFromFastForward(){
+    var state = gameState;
+    fastForward = null;
+    agent.frameBuffer = [];
+    agent.episodeFrameCount = 0;
+    agent.targetTubeIndex = -1;
+    startGame();
+    // A replay watched meanwhile carries on, and hands over to the training once stopped
+    if(state == REPLAY){
+        gameState = REPLAY;
+        replay.resumeState = GAME;
+    } else {
+        gameState = GAME;
+    }
+    renderTrainingControls();
+}
+
+/**
+ * Renders the last world taken from the training, or the showcase episode, which restarts with the policy
+ * learnt so far once over
+ */
+function renderFastForward(){
+    if(fastForward.show == SHOW_TRAINING){
+        if(fastForward.world){
+            renderGame(fastForward.world);
+        }
+        return;
+    }
+    var showcase = fastForward.showcase;
+    if(!showcase || showcase.simulation.isOver){
+        showcase = fastForward.showcase = startShowcase();
+    }
+    if(showcase.agent.nextStep(showcase.simulation.getObservation()) == actionSet.JUMP){
+        showcase.simulation.jump();
+    }
+    if(showcase.simulation.step().crashed){
+        showcase.agent.triggerGameOver(showcase.simulation.cause);
+    }
+    renderGame(showcase.simulation);
+}
+
+/**
+ * Starts a showcase episode, played without learning by the policy learnt so far
+ */
+function startShowcase(){
+    var seed = Math.floor(sessionRandom() * 4294967296);
+    var showcaseAgent = new Agent(getAgentOptions({
+        Q_table: agent.Q_table,
+        Q_table_B: agent.Q_table_B,
+        random: createRandom(seed)
+    }));
+    showcaseAgent.learner.network = agent.learner.network;
+    showcaseAgent.isFrozen = true;
+    var showcaseSimulation = new FlappySimulation(simulation.config);
+    showcaseSimulation.isStatic = simulation.isStatic;
+    showcaseSimulation.reset(seed);
+    return { agent: showcaseAgent, simulation: showcaseSimulation };
+}
+
+/**
+ * Connects to the bridge of tools/bridge.js as the game, the external agent then playing the training world
+ * through the environment of js/env.js, with the same observations as the agent of the page
+ * @param {*} url The address of the bridge, e.g. ws://localhost:8765/game
+ * @param {*} onStatus Called with a description of the connection whenever it changes
+ */
+function connectExternal(url, onStatus){
+    var socket;
+    try {
+        socket = new WebSocket(url);
+    } catch(e) {
+        alert("Failure in connecting to the bridge: " + e.message);
+        return;
+    }
+    external = {
+        socket: socket,
+        env: new FlappyEnv({ features: agent.encoder.config.features }, simulation),
+        queue: [],
+        onStatus: onStatus
+    };
+    onStatus("Connecting to " + url);
+    socket.onopen = function(){
+        onStatus("Connected to " + url + ", waiting for the agent");
+        gameState = GAME;
+    };
+    socket.onmessage = function(event){
+        external.queue.push(event.data);
+    };
+    socket.onclose = function(){
+        if(external && external.socket === socket){
+            external = null;
+            onStatus("Not connected");
+        }
+    };
+}
+
+function disconnectExternal(){
+    if(external){
+        var socket = external.socket;
+        external.onStatus("Not connected");
+        external = null;
+        socket.close();
+    }
+}
+
+/**
+ * Answers the messages of the external agent in order, up to a single step per frame so that the game is
+ * played at its own speed
+ */
+function updateExternal(){
+    while(external && external.queue.length){
+        var message;
+        try {
+            message = JSON.parse(external.queue.shift());
+        } catch(e) {
+            external.socket.send(JSON.stringify({ error: "The message is not valid JSON: " + e.message }));
+            continue;
+        }
+        var answer = external.env.handle(message);
+        external.socket.send(JSON.stringify(answer));
+        if(message.type == "reset" && !answer.error){
+            external.onStatus("The agent is playing");
+        }
+        if(answer.done){
+            hiScore = Math.max(hiScore, answer.info.score);
+            external.onStatus("Episode over with a score of " + answer.info.score + (answer.info.cause ?
+                ", crashed into the " + answer.info.cause.replace("-", " ") : ""));
+        }
+        if(message.type == "step"){
+            break;
+        }
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * The file contains the learning algorithms available to our flappy bird. All of
+ * them work upon the same frame buffer of js/brain.js: at the end of an episode
+ * the buffer is walked backwards, from the most recent state-action pair to the
+ * oldest one, and each pair is moved a step alpha towards a target value. The
+ * algorithms only differ in how that target is estimated from the future.
+ *
+ * (1) q-learning: r + gamma * max_a Q(s', a), the original model
+ * (2) sarsa: r + gamma * Q(s', a'), where a' is the action actually taken next
+ * (3) expected-sarsa: r + gamma * sum_a P(a|s') Q(s', a), weighing the future by
+ * the exploration policy
+ * (4) double-q-learning: Two Q-tables, one picks the best future action and the
+ * other one evaluates it, which avoids overestimating the future
+ * (5) n-step: The rewards of the next n frames, then the best future value
+ * (6) td-lambda: The lambda-return, mixing all the n-step returns with weights
+ * decaying by lambda, which is what eligibility traces compute
+ * (7) dqn: No Q-table at all, the Q-values are estimated by a small neural
+ * network (see js/dqn.js) which learns from the remembered transitions with
+ * experience replay and a target network
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var DeepQNetwork = require("./dqn.js").DeepQNetwork;
+}
+
+/**
+ * Default parameters of the learning algorithms
+ * (1) lambda: The trace decay of td-lambda, 0 behaves like q-learning and 1 like
+ * Monte Carlo
+ * (2) n: Number of frames looked ahead by n-step
+ * (3) network: Parameters of the deep Q-network of dqn (see DQN_DEFAULTS)
+ */
+var LEARNER_DEFAULTS = {
+  algorithm: "q-learning",
+  lambda: 0.8,
+  n: 3,
+  network: {}
+};
+
+/**
+ * Creates a new learning algorithm
+ * @param {*} options Overrides for LEARNER_DEFAULTS
+ */
+function Learner(options) {
+  options = options || {};
+  this.config = {};
+  for (var key in LEARNER_DEFAULTS) {
+    this.config[key] = (key in options) ? options[key] : LEARNER_DEFAULTS[key];
+  }
+  if (!(this.config.algorithm in learningAlgorithms)) {
+    throw new Error("Unknown learning algorithm: " + this.config.algorithm);
+  }
+  // Double Q-learning is the only one maintaining a second Q-table
+  this.usesTwoTables = this.config.algorithm == "double-q-learning";
+  // DQN estimates the Q-values with a network instead, which is created once the
+  // features of the state are known (see getNetwork)
+  this.usesNetwork = this.config.algorithm == "dqn";
+  this.network = null;
+  if (this.usesNetwork) {
+    // The parameters of the network are validated by creating one
+    new DeepQNetwork([], this.config.network);
+  }
+}
+
+/**
+ * Returns the deep Q-network of dqn, creating it for the features of the agent
+ * @param {*} agent The agent being trained
+ */
+Learner.prototype.getNetwork = function(agent) {
+  if (!this.network) {
+    this.network = new DeepQNetwork(agent.encoder.getFeatures(), this.config.network, agent.random);
+  }
+  return this.network;
+};
+
+/**
+ * Forgets what was learnt by the network, e.g. as the features of the state changed
+ */
+Learner.prototype.reset = function() {
+  this.network = null;
+};
+
+/**
+ * Called once all of the state-action pairs of an episode have been rewarded,
+ * which is when dqn trains its network upon the remembered transitions
+ * @param {*} agent The agent being trained
+ */
+Learner.prototype.endEpisode = function(agent) {
+  if (this.usesNetwork) {
+    this.getNetwork(agent).replay(agent.gamma, agent.random);
+  }
+};
+
+/**
+ * Estimates the target value for a state-action pair of the frame buffer
+ * @param {*} agent The agent being trained
+ * @param {*} transition The index of the pair in the frame buffer along with the
+ * frames, the rewards awarded so far (indexed as the frames) and the target of
+ * the pair following it
+ * @returns {*} The target along with the Q-table to be updated
+ */
+Learner.prototype.getTarget = function(agent, transition) {
+  return learningAlgorithms[this.config.algorithm].call(this, agent, transition);
+};
+
+// Best value of the given state, as per the given Q-table
+function maxQ(agent, state, table) {
+  return Math.max.apply(null, agent.getValues(state, table));
+}
+
+var learningAlgorithms = {
+  "q-learning": function(agent, transition) {
+    var i = transition.index;
+    var futureState = transition.frames[i+1].env;
+    return {
+      table: agent.Q_table,
+      target: transition.rewards[i] + agent.gamma * maxQ(agent, futureState, agent.Q_table)
+    };
+  },
+
+  "sarsa": function(agent, transition) {
+    var i = transition.index;
+    var future = transition.frames[i+1];
+    return {
+      table: agent.Q_table,
+      target: transition.rewards[i] + agent.gamma * agent.getQ(future.env, future.action, agent.Q_table)
+    };
+  },
+
+  "expected-sarsa": function(agent, transition) {
+    var i = transition.index;
+    var futureState = transition.frames[i+1].env;
+    var probabilities = agent.getPolicy(futureState);
+    var values = agent.getValues(futureState, agent.Q_table);
+    var expectedValue = 0;
+    for (var action = 0; action < values.length; action++) {
+      expectedValue += probabilities[action] * values[action];
+    }
+    return {
+      table: agent.Q_table,
+      target: transition.rewards[i] + agent.gamma * expectedValue
+    };
+  },
+
+  "double-q-learning": function(agent, transition) {
+    var i = transition.index;
+    var futureState = transition.frames[i+1].env;
+    // Toss a coin for which table gets updated, the other one evaluates
+    var tables = agent.random() < 0.5 ? [agent.Q_table, agent.Q_table_B] : [agent.Q_table_B, agent.Q_table];
+    var values = agent.getValues(futureState, tables[0]);
+    var bestAction = values.indexOf(Math.max.apply(null, values));
+    return {
+      table: tables[0],
+      target: transition.rewards[i] + agent.gamma * agent.getQ(futureState, bestAction, tables[1])
+    };
+  },
+
+  "n-step": function(agent, transition) {
+    var i = transition.index;
+    // The frame buffer might end before n frames are available
+    var steps = Math.min(this.config.n, transition.frames.length - 1 - i);
+    var target = 0;
+    for (var k = 0; k < steps; k++) {
+      target += Math.pow(agent.gamma, k) * transition.rewards[i+k];
+    }
+    target += Math.pow(agent.gamma, steps) * maxQ(agent, transition.frames[i+steps].env, agent.Q_table);
+    return { table: agent.Q_table, target: target };
+  },
+
+  "td-lambda": function(agent, transition) {
+    var i = transition.index;
+    var lambda = this.config.lambda;
+    var bootstrap = maxQ(agent, transition.frames[i+1].env, agent.Q_table);
+    // The most recent pair has no return following it, hence it bootstraps fully
+    var nextReturn = transition.nextReturn === null ? bootstrap : transition.nextReturn;
+    return {
+      table: agent.Q_table,
+      target: transition.rewards[i] + agent.gamma * ((1 - lambda) * bootstrap + lambda * nextReturn)
+    };
+  },
+
+  "dqn": function(agent, transition) {
+    var i = transition.index;
+    // The transition is only remembered, the network learns at the end of the episode
+    this.getNetwork(agent).remember({
+      state: transition.frames[i].env,
+      action: transition.frames[i].action,
+      reward: transition.rewards[i],
+      nextState: transition.frames[i+1].env
+    });
+    return null;
+  }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Learner: Learner,
+    LEARNER_DEFAULTS: LEARNER_DEFAULTS,
+    learningAlgorithms: learningAlgorithms
+  };
+}
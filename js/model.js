@@ -0,0 +1,421 @@
+/**
+ * The file contains the model file format of our flappy bird. A model is saved
+ * as a versioned envelope holding the Q-table along with everything needed to
+ * make sense of it: the learning algorithm, the hyperparameters, the state
+ * encoding and how far the training went.
+ *
+ * {
+ *   "format": "flappybird-model",
+ *   "version": 1,
+ *   "createdAt": "2017-08-01T00:00:00.000Z",
+ *   "algorithm": { "algorithm": "q-learning", ... },
+ *   "hyperparameters": { "alpha": 0.1, "gamma": 0.8, "exploration": {...}, "rewards": {...} },
+ *   "encoding": { "buckets": {...}, "features": [] },
+ *   "trials": 25,
+ *   "bestScore": 1000,
+ *   "qTable": { "diffY,speedY,tubeX,action": value, ... },
+ *   "qTableB": { ... },
+ *   "visits": { "diffY,speedY,tubeX,action": count, ... },
+ *   "network": { "features": [...], "weights": {...} }
+ * }
+ *
+ * The network is only saved by DQN (see js/dqn.js), whose qTable stays empty.
+ *
+ * The legacy format, a bare Q-table keyed by "diffY,speedY,tubeX,action" like
+ * model/qtable-x3-y6.json, is migrated to the envelope when read.
+ *
+ * A model can also be stored in a compact binary form, a few times smaller than
+ * its JSON (see encodeBinaryModel): the envelope without its tables as a JSON
+ * header, followed by the keys of every table as typed arrays of small integers
+ * and its values either as floats or, when quantized, as integers.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var StateEncoder = require("./encoding.js").StateEncoder;
+  var ENCODING_DEFAULTS = require("./encoding.js").ENCODING_DEFAULTS;
+  var Learner = require("./learners.js").Learner;
+  var DeepQNetwork = require("./dqn.js").DeepQNetwork;
+  var Exploration = require("./exploration.js").Exploration;
+  var RewardFunction = require("./rewards.js").RewardFunction;
+}
+
+var MODEL_FORMAT = "flappybird-model";
+var MODEL_VERSION = 1;
+
+// First bytes of a model in binary form, "FBQM"
+var BINARY_MODEL_MAGIC = [0x46, 0x42, 0x51, 0x4d];
+
+// The tables of the envelope which are stored as typed arrays in binary form
+var BINARY_MODEL_TABLES = ["qTable", "qTableB", "visits"];
+
+// The integer types the keys and quantized values are stored as, from the
+// smallest, along with their size in bytes and range
+var BINARY_INT_TYPES = [
+  { type: "Int8", size: 1, min: -128, max: 127 },
+  { type: "Int16", size: 2, min: -32768, max: 32767 },
+  { type: "Int32", size: 4, min: -2147483648, max: 2147483647 }
+];
+var BINARY_FLOAT_TYPE = { type: "Float32", size: 4 };
+
+// Most decimals the values can be quantized to in binary form
+var BINARY_MAX_PRECISION = 9;
+
+/**
+ * Creates the model envelope for the given agent
+ * @param {*} agent The agent to be saved
+ * @param {*} stats Optional bestScore reached while training
+ */
+function createModel(agent, stats) {
+  stats = stats || {};
+  var model = {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    createdAt: new Date().toISOString(),
+    algorithm: agent.learner.config,
+    hyperparameters: {
+      alpha: agent.alpha,
+      gamma: agent.gamma,
+      exploration: agent.exploration.config,
+      rewards: agent.rewards.config
+    },
+    encoding: agent.encoder.config,
+    trials: agent.trials,
+    bestScore: ("bestScore" in stats) ? stats.bestScore : null,
+    qTable: agent.Q_table,
+    visits: agent.visits
+  };
+  if (agent.learner.usesTwoTables) {
+    model.qTableB = agent.Q_table_B;
+  }
+  if (agent.learner.usesNetwork) {
+    model.network = agent.learner.getNetwork(agent).toJSON();
+  }
+  return model;
+}
+
+/**
+ * Reads a model, migrating it from the legacy format if need be, and checks that
+ * it is well-formed. Throws an error describing the first problem found
+ * @param {*} data The model, either as parsed JSON, as a JSON string or as the
+ * bytes of a file, in JSON or in binary form
+ */
+function parseModel(data) {
+  if (isBinaryModel(data)) {
+    data = decodeBinaryModel(data);
+  } else if (typeof data != "string" && isBinaryData(data)) {
+    data = new TextDecoder().decode(data);
+  }
+  if (typeof data == "string") {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      throw new Error("The model is not valid JSON: " + e.message);
+    }
+  }
+  if (data === null || typeof data != "object" || Array.isArray(data)) {
+    throw new Error("The model must be a JSON object");
+  }
+  if (!("format" in data)) {
+    return migrateLegacyModel(data);
+  }
+  if (data.format != MODEL_FORMAT) {
+    throw new Error("Unknown model format: " + data.format);
+  }
+  if (typeof data.version != "number" || data.version < 1 || data.version > MODEL_VERSION) {
+    throw new Error("Unsupported model version " + data.version + ", expected at most " + MODEL_VERSION);
+  }
+  if (!data.hyperparameters || typeof data.hyperparameters.alpha != "number" ||
+      typeof data.hyperparameters.gamma != "number") {
+    throw new Error("The model is missing its hyperparameters alpha and gamma");
+  }
+  // The configurations are validated by constructing them
+  var encoder = new StateEncoder(data.encoding);
+  var learner = new Learner(data.algorithm);
+  new Exploration(data.hyperparameters.exploration);
+  new RewardFunction(data.hyperparameters.rewards);
+
+  var keyLength = 3 + encoder.config.features.length + 1;
+  validateTable(data.qTable, "qTable", keyLength);
+  if ("qTableB" in data) {
+    validateTable(data.qTableB, "qTableB", keyLength);
+  }
+  if ("visits" in data) {
+    validateTable(data.visits, "visits", keyLength);
+  }
+  if (learner.usesNetwork && "network" in data) {
+    var network = DeepQNetwork.fromJSON(data.network, learner.config.network);
+    if (network.features.join(",") != encoder.getFeatures().join(",")) {
+      throw new Error("The network of the model takes " + network.features.join(", ") +
+          " as inputs, expected " + encoder.getFeatures().join(", "));
+    }
+  }
+  return data;
+}
+
+/**
+ * Checks that every entry of a table is keyed by a comma separated list of
+ * integers of the given length and holds a number
+ */
+function validateTable(table, name, keyLength) {
+  if (table === null || typeof table != "object" || Array.isArray(table)) {
+    throw new Error("The " + name + " of the model must be an object");
+  }
+  for (var key in table) {
+    var parts = key.split(",");
+    if (parts.length != keyLength || !parts.every(function(part) { return /^-?\d+$/.test(part); })) {
+      throw new Error("Invalid key in the " + name + " of the model: \"" + key + "\", expected " +
+          keyLength + " comma separated integers");
+    }
+    if (typeof table[key] != "number" || !isFinite(table[key])) {
+      throw new Error("Invalid value in the " + name + " of the model for \"" + key + "\": " + table[key]);
+    }
+  }
+}
+
+/**
+ * Wraps a legacy bare Q-table into the model envelope. Such tables were trained
+ * by Q-learning over the raw state with the original parameters
+ * @param {*} table The legacy Q-table
+ */
+function migrateLegacyModel(table) {
+  validateTable(table, "legacy Q-table", 4);
+  return {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    createdAt: null,
+    algorithm: new Learner().config,
+    hyperparameters: {
+      alpha: 0.1,
+      gamma: 0.8,
+      exploration: new Exploration().config,
+      rewards: new RewardFunction().config
+    },
+    encoding: new StateEncoder(ENCODING_DEFAULTS).config,
+    trials: null,
+    bestScore: null,
+    qTable: table
+  };
+}
+
+/**
+ * Loads a model into the given agent, refusing it when its state encoding does
+ * not match the one of the agent
+ * @param {*} agent The agent to load the model into
+ * @param {*} model The model, as returned by parseModel
+ */
+function applyModel(agent, model) {
+  if (!agent.encoder.isCompatible(model.encoding)) {
+    throw new Error("The model uses a different state encoding: " + JSON.stringify(model.encoding));
+  }
+  agent.Q_table = model.qTable;
+  agent.Q_table_B = model.qTableB || {};
+  agent.visits = model.visits || {};
+  agent.trials = model.trials || 0;
+  agent.alpha = model.hyperparameters.alpha;
+  agent.gamma = model.hyperparameters.gamma;
+  agent.learner = new Learner(model.algorithm);
+  if (model.network) {
+    agent.learner.network = DeepQNetwork.fromJSON(model.network, model.algorithm.network);
+  }
+  agent.exploration = new Exploration(model.hyperparameters.exploration);
+  agent.rewards = new RewardFunction(model.hyperparameters.rewards);
+}
+
+/**
+ * Stores a model in binary form. The keys of every table are integers, stored
+ * column by column, each in the smallest type which holds all of its values. The values are stored as 32-bit
+ * floats, hence with about 7 significant digits, unless quantized to the given
+ * number of decimals, in which case they are stored as integers counting
+ * hundredths, thousandths... The visits are always stored as integers
+ * @param {*} model The model envelope
+ * @param {*} precision Optional number of decimals the values are rounded to
+ * @returns {*} The model as an ArrayBuffer
+ */
+function encodeBinaryModel(model, precision) {
+  if (precision !== undefined && precision !== null &&
+      (precision !== Math.floor(precision) || precision < 0 || precision > BINARY_MAX_PRECISION)) {
+    throw new Error("The precision must be a number of decimals between 0 and " + BINARY_MAX_PRECISION + ", got: " + precision);
+  }
+  var header = {}, tables = [];
+  for (var key in model) {
+    if (BINARY_MODEL_TABLES.indexOf(key) < 0) {
+      header[key] = model[key];
+    }
+  }
+  header.tables = [];
+  BINARY_MODEL_TABLES.forEach(function(name) {
+    if (!model[name]) {
+      return;
+    }
+    var keys = Object.keys(model[name]);
+    var columns = [], values = [];
+    keys.forEach(function(key) {
+      key.split(",").forEach(function(part, column) {
+        (columns[column] = columns[column] || []).push(Number(part));
+      });
+      values.push(model[name][key]);
+    });
+    var isCount = name == "visits";
+    var scale = isCount ? 1 : (precision === undefined || precision === null) ? null : Math.pow(10, precision);
+    if (scale !== null) {
+      values = values.map(function(value) { return Math.round(value * scale); });
+    }
+    var keyTypes = columns.map(getIntType), valueType = scale === null ? BINARY_FLOAT_TYPE : getIntType(values);
+    header.tables.push({
+      name: name,
+      entries: keys.length,
+      keyTypes: keyTypes.map(function(type) { return type.type; }),
+      valueType: valueType.type,
+      precision: (scale === null || isCount) ? null : precision
+    });
+    tables.push({ columns: columns, values: values, keyTypes: keyTypes, valueType: valueType });
+  });
+
+  var headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  var size = BINARY_MODEL_MAGIC.length + 4 + headerBytes.length;
+  tables.forEach(function(table) {
+    table.keyTypes.forEach(function(type) {
+      size += table.values.length * type.size;
+    });
+    size += table.values.length * table.valueType.size;
+  });
+  var buffer = new ArrayBuffer(size), view = new DataView(buffer), bytes = new Uint8Array(buffer);
+  bytes.set(BINARY_MODEL_MAGIC, 0);
+  view.setUint32(BINARY_MODEL_MAGIC.length, headerBytes.length, true);
+  bytes.set(headerBytes, BINARY_MODEL_MAGIC.length + 4);
+  var offset = BINARY_MODEL_MAGIC.length + 4 + headerBytes.length;
+  tables.forEach(function(table) {
+    table.columns.forEach(function(column, i) {
+      offset = writeNumbers(view, offset, table.keyTypes[i], column);
+    });
+    offset = writeNumbers(view, offset, table.valueType, table.values);
+  });
+  return buffer;
+}
+
+/**
+ * Reads a model stored in binary form back into its envelope
+ * @param {*} data The model as an ArrayBuffer or a typed array of its bytes
+ */
+function decodeBinaryModel(data) {
+  var bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (!isBinaryModel(bytes)) {
+    throw new Error("The model is not in binary form");
+  }
+  var offset = BINARY_MODEL_MAGIC.length + 4;
+  var headerLength = view.getUint32(BINARY_MODEL_MAGIC.length, true), header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + headerLength)));
+  } catch (e) {
+    throw new Error("The header of the binary model is not valid JSON: " + e.message);
+  }
+  offset += headerLength;
+  var model = {};
+  for (var key in header) {
+    if (key != "tables") {
+      model[key] = header[key];
+    }
+  }
+  (header.tables || []).forEach(function(descriptor) {
+    // The tables become keys of the model, hence of the agent it is applied to
+    if (BINARY_MODEL_TABLES.indexOf(descriptor.name) < 0) {
+      throw new Error("Unknown table of the binary model: " + descriptor.name);
+    }
+    var keyTypes = descriptor.keyTypes.map(findBinaryType), valueType = findBinaryType(descriptor.valueType);
+    var entries = descriptor.entries, entrySize = valueType.size;
+    keyTypes.forEach(function(type) {
+      entrySize += type.size;
+    });
+    if (offset + entries * entrySize > bytes.byteLength) {
+      throw new Error("The binary model is truncated in its " + descriptor.name);
+    }
+    var columns = keyTypes.map(function(type) {
+      var column = readNumbers(view, offset, type, entries);
+      offset += entries * type.size;
+      return column;
+    });
+    var values = readNumbers(view, offset, valueType, entries);
+    offset += entries * valueType.size;
+    var scale = descriptor.precision === null ? 1 : Math.pow(10, descriptor.precision);
+    var table = {};
+    for (var i = 0; i < entries; i++) {
+      // Dividing by a power of ten gives the shortest decimals back, unlike multiplying
+      table[columns.map(function(column) { return column[i]; }).join(",")] = values[i] / scale;
+    }
+    model[descriptor.name] = table;
+  });
+  return model;
+}
+
+function isBinaryData(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Whether the given data is the bytes of a model in binary form
+ */
+function isBinaryModel(data) {
+  if (!isBinaryData(data)) {
+    return false;
+  }
+  var bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return bytes.length >= BINARY_MODEL_MAGIC.length + 4 && BINARY_MODEL_MAGIC.every(function(byte, i) {
+    return bytes[i] == byte;
+  });
+}
+
+function getIntType(numbers) {
+  var min = 0, max = 0;
+  numbers.forEach(function(number) {
+    min = Math.min(min, number);
+    max = Math.max(max, number);
+  });
+  for (var i = 0; i < BINARY_INT_TYPES.length; i++) {
+    if (min >= BINARY_INT_TYPES[i].min && max <= BINARY_INT_TYPES[i].max) {
+      return BINARY_INT_TYPES[i];
+    }
+  }
+  // Values too large for 32-bit integers once quantized are kept as floats
+  return BINARY_FLOAT_TYPE;
+}
+
+function findBinaryType(type) {
+  var types = BINARY_INT_TYPES.concat([BINARY_FLOAT_TYPE]);
+  for (var i = 0; i < types.length; i++) {
+    if (types[i].type == type) {
+      return types[i];
+    }
+  }
+  throw new Error("Unknown type in the binary model: " + type);
+}
+
+function writeNumbers(view, offset, type, numbers) {
+  numbers.forEach(function(number) {
+    view["set" + type.type](offset, number, true);
+    offset += type.size;
+  });
+  return offset;
+}
+
+function readNumbers(view, offset, type, count) {
+  var numbers = [];
+  for (var i = 0; i < count; i++) {
+    numbers.push(view["get" + type.type](offset + i * type.size, true));
+  }
+  return numbers;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createModel: createModel,
+    parseModel: parseModel,
+    applyModel: applyModel,
+    encodeBinaryModel: encodeBinaryModel,
+    decodeBinaryModel: decodeBinaryModel,
+    isBinaryModel: isBinaryModel,
+    BINARY_MAX_PRECISION: BINARY_MAX_PRECISION,
+    MODEL_FORMAT: MODEL_FORMAT,
+    MODEL_VERSION: MODEL_VERSION
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * The file contains a small multilayer perceptron, written without any library
+ * so that it runs as is in the browser and in Node. The hidden layers use the
+ * ReLU activation and the output layer is linear, as fits the estimation of
+ * Q-values. The weights are trained by gradient descent with the Adam optimizer
+ * on the squared error of a single output per sample, the one of the action
+ * taken, with the error clipped to [-1, 1] (i.e. the Huber loss).
+ *
+ * Ref: https://arxiv.org/abs/1412.6980 (Adam)
+ */
+
+/**
+ * Creates a new network with randomly initialized weights
+ * @param {*} sizes The number of units of every layer, from the inputs to the
+ * outputs, e.g. [3, 16, 16, 2]
+ * @param {*} random The source of randomness for initializing the weights
+ */
+function NeuralNetwork(sizes, random) {
+  random = random || Math.random;
+  this.sizes = sizes.slice();
+  // weights[l][j * inputs + i] connects the unit i of the layer l to the unit j
+  // of the layer l + 1
+  this.weights = [];
+  this.biases = [];
+  for (var l = 0; l + 1 < sizes.length; l++) {
+    // He initialization, suited to ReLU units
+    var deviation = Math.sqrt(2 / sizes[l]);
+    var weights = [];
+    for (var k = 0; k < sizes[l] * sizes[l + 1]; k++) {
+      weights.push(gaussian(random) * deviation);
+    }
+    this.weights.push(weights);
+    this.biases.push(zeros(sizes[l + 1]));
+  }
+  this.resetOptimizer();
+}
+
+/**
+ * Clears the moments of the Adam optimizer
+ */
+NeuralNetwork.prototype.resetOptimizer = function() {
+  var zerosLike = function(arrays) {
+    return arrays.map(function(array) { return zeros(array.length); });
+  };
+  this.moments = {
+    weights: [zerosLike(this.weights), zerosLike(this.weights)],
+    biases: [zerosLike(this.biases), zerosLike(this.biases)],
+    steps: 0
+  };
+};
+
+/**
+ * Returns the activations of every layer for the given inputs, the last one
+ * being the outputs of the network
+ * @param {*} inputs The inputs, as many as units in the first layer
+ */
+NeuralNetwork.prototype.forward = function(inputs) {
+  var activations = [inputs];
+  for (var l = 0; l < this.weights.length; l++) {
+    var previous = activations[l], size = this.sizes[l + 1], count = this.sizes[l];
+    var isOutput = l == this.weights.length - 1;
+    var layer = [];
+    for (var j = 0; j < size; j++) {
+      var sum = this.biases[l][j];
+      for (var i = 0; i < count; i++) {
+        sum += this.weights[l][j * count + i] * previous[i];
+      }
+      layer.push(isOutput ? sum : Math.max(0, sum));
+    }
+    activations.push(layer);
+  }
+  return activations;
+};
+
+/**
+ * Returns the outputs of the network for the given inputs
+ * @param {*} inputs The inputs, as many as units in the first layer
+ */
+NeuralNetwork.prototype.predict = function(inputs) {
+  var activations = this.forward(inputs);
+  return activations[activations.length - 1];
+};
+
+/**
+ * Takes a step of gradient descent over a batch of samples
+ * @param {*} batch The samples, as {inputs, output, target} where output is the
+ * index of the output to be moved towards the target
+ * @param {*} learningRate The step size of the optimizer
+ * @returns {*} The mean squared error of the batch before the step
+ */
+NeuralNetwork.prototype.train = function(batch, learningRate) {
+  var gradients = {
+    weights: this.weights.map(function(weights) { return zeros(weights.length); }),
+    biases: this.biases.map(function(biases) { return zeros(biases.length); })
+  };
+  var loss = 0;
+  for (var b = 0; b < batch.length; b++) {
+    var sample = batch[b];
+    var activations = this.forward(sample.inputs);
+    var outputs = activations[activations.length - 1];
+    var error = outputs[sample.output] - sample.target;
+    loss += error * error;
+
+    // Backpropagation of the clipped error of the single output
+    var deltas = zeros(outputs.length);
+    deltas[sample.output] = Math.max(-1, Math.min(1, error)) / batch.length;
+    for (var l = this.weights.length - 1; l >= 0; l--) {
+      var previous = activations[l], count = this.sizes[l];
+      var previousDeltas = zeros(count);
+      for (var j = 0; j < deltas.length; j++) {
+        if (deltas[j] == 0) {
+          continue;
+        }
+        gradients.biases[l][j] += deltas[j];
+        for (var i = 0; i < count; i++) {
+          gradients.weights[l][j * count + i] += deltas[j] * previous[i];
+          previousDeltas[i] += deltas[j] * this.weights[l][j * count + i];
+        }
+      }
+      // Derivative of the ReLU of the layer below, the inputs having none
+      for (i = 0; i < count && l > 0; i++) {
+        previousDeltas[i] = previous[i] > 0 ? previousDeltas[i] : 0;
+      }
+      deltas = previousDeltas;
+    }
+  }
+
+  this.moments.steps++;
+  for (l = 0; l < this.weights.length; l++) {
+    adamStep(this.weights[l], gradients.weights[l], this.moments.weights[0][l], this.moments.weights[1][l],
+        this.moments.steps, learningRate);
+    adamStep(this.biases[l], gradients.biases[l], this.moments.biases[0][l], this.moments.biases[1][l],
+        this.moments.steps, learningRate);
+  }
+  return loss / (batch.length || 1);
+};
+
+/**
+ * Copies the weights of the given network, of the same sizes, into this one
+ * @param {*} network The network to copy from
+ */
+NeuralNetwork.prototype.copyFrom = function(network) {
+  this.weights = network.weights.map(function(weights) { return weights.slice(); });
+  this.biases = network.biases.map(function(biases) { return biases.slice(); });
+};
+
+/**
+ * Returns the sizes and the weights of the network, leaving out the state of the
+ * optimizer
+ */
+NeuralNetwork.prototype.toJSON = function() {
+  return { sizes: this.sizes, weights: this.weights, biases: this.biases };
+};
+
+/**
+ * Recreates a network from the result of toJSON, checking that the weights fit
+ * the sizes of the layers
+ * @param {*} data The sizes and the weights of the network
+ */
+NeuralNetwork.fromJSON = function(data) {
+  if (!data || !Array.isArray(data.sizes) || data.sizes.length < 2 ||
+      !Array.isArray(data.weights) || !Array.isArray(data.biases) ||
+      data.weights.length != data.sizes.length - 1 || data.biases.length != data.sizes.length - 1) {
+    throw new Error("The network must have sizes along with the weights and biases of every layer");
+  }
+  var network = new NeuralNetwork(data.sizes);
+  for (var l = 0; l + 1 < data.sizes.length; l++) {
+    if (!isNumbers(data.weights[l], data.sizes[l] * data.sizes[l + 1]) || !isNumbers(data.biases[l], data.sizes[l + 1])) {
+      throw new Error("The weights of the layer " + (l + 1) + " of the network do not fit its sizes");
+    }
+  }
+  network.copyFrom(data);
+  return network;
+};
+
+function isNumbers(array, length) {
+  return Array.isArray(array) && array.length == length && array.every(function(value) {
+    return typeof value == "number" && isFinite(value);
+  });
+}
+
+function zeros(length) {
+  var array = [];
+  for (var i = 0; i < length; i++) {
+    array.push(0);
+  }
+  return array;
+}
+
+// Standard normal sample, by the Box-Muller transform
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Updates the parameters in place by a step of Adam with the usual decay rates
+function adamStep(parameters, gradients, firstMoments, secondMoments, steps, learningRate) {
+  var beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8;
+  for (var i = 0; i < parameters.length; i++) {
+    firstMoments[i] = beta1 * firstMoments[i] + (1 - beta1) * gradients[i];
+    secondMoments[i] = beta2 * secondMoments[i] + (1 - beta2) * gradients[i] * gradients[i];
+    var corrected = firstMoments[i] / (1 - Math.pow(beta1, steps));
+    var scale = Math.sqrt(secondMoments[i] / (1 - Math.pow(beta2, steps))) + epsilon;
+    parameters[i] -= learningRate * corrected / scale;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    NeuralNetwork: NeuralNetwork,
+    gaussian: gaussian
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * The file contains the tooling to shrink and combine the Q-tables of our
+ * models (see js/model.js), shared by the page and tools/qtable.js.
+ *
+ * A Q-table grows an entry for every state-action pair the bird ever came
+ * across, most of them seen once and never again, and keeps every value with
+ * all of its digits. Compacting a model:
+ * (1) prunes the entries taken fewer than minVisits times, as far as the model
+ * counted its visits, and the negligible ones, at most epsilon away from the 0
+ * which a missing entry reads as
+ * (2) quantizes the values to the given number of decimals
+ * The decisions of the greedy policy which change in doing so are counted, as
+ * a measure of what the compaction costs.
+ *
+ * Merging combines two models of the same state encoding, e.g. one trained in
+ * the static environment and one in the random environment, by averaging the
+ * values of the entries found in both, either evenly or weighted by how often
+ * each model took the action in the state.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var StateEncoder = require("./encoding.js").StateEncoder;
+  var encodeBinaryModel = require("./model.js").encodeBinaryModel;
+  var BINARY_MAX_PRECISION = require("./model.js").BINARY_MAX_PRECISION;
+}
+
+/**
+ * Default parameters of the compaction
+ * (1) minVisits: Entries taken fewer times are pruned, 0 to keep them all
+ * (2) epsilon: Entries whose value is at most this far from 0 are pruned
+ * (3) precision: Number of decimals the values are rounded to, null to keep
+ * them as they are
+ */
+var COMPACTION_DEFAULTS = {
+  minVisits: 0,
+  epsilon: 0,
+  precision: null
+};
+
+// How the values of the entries found in both models are merged
+var MERGE_METHODS = ["average", "visits"];
+
+/**
+ * Compacts a model, leaving it untouched
+ * @param {*} model The model envelope
+ * @param {*} options Overrides for COMPACTION_DEFAULTS
+ * @returns {*} The compacted model along with a report of the sizes before
+ * and after, as {model, report}
+ */
+function compactModel(model, options) {
+  options = options || {};
+  var config = {};
+  for (var key in options) {
+    if (!(key in COMPACTION_DEFAULTS)) {
+      throw new Error("Unknown parameter of the compaction: " + key);
+    }
+  }
+  for (key in COMPACTION_DEFAULTS) {
+    config[key] = (key in options) ? options[key] : COMPACTION_DEFAULTS[key];
+  }
+  // As many decimals as a model in binary form can be quantized to
+  if (config.precision !== null && (config.precision !== Math.floor(config.precision) || config.precision < 0 ||
+      config.precision > BINARY_MAX_PRECISION)) {
+    throw new Error("The precision must be a number of decimals between 0 and " + BINARY_MAX_PRECISION + ", got: " +
+      config.precision);
+  }
+  var visits = model.visits || {};
+  // Models saved before the visits were counted cannot be pruned by visits
+  var hasVisits = Object.keys(visits).length > 0;
+  var pruned = { visits: 0, negligible: 0 };
+  var scale = config.precision === null ? null : Math.pow(10, config.precision);
+
+  function compactTable(table) {
+    var compacted = {};
+    for (var key in table) {
+      if (hasVisits && (visits[key] || 0) < config.minVisits) {
+        pruned.visits++;
+        continue;
+      }
+      var value = scale === null ? table[key] : Math.round(table[key] * scale) / scale;
+      if (Math.abs(value) <= config.epsilon) {
+        pruned.negligible++;
+        continue;
+      }
+      compacted[key] = value;
+    }
+    return compacted;
+  }
+
+  var compacted = copyEnvelope(model);
+  compacted.qTable = compactTable(model.qTable);
+  if (model.qTableB) {
+    compacted.qTableB = compactTable(model.qTableB);
+  }
+  if (model.visits) {
+    // The visits are only kept for the entries left
+    compacted.visits = {};
+    for (key in visits) {
+      if (key in compacted.qTable || (compacted.qTableB && key in compacted.qTableB)) {
+        compacted.visits[key] = visits[key];
+      }
+    }
+  }
+  return {
+    model: compacted,
+    report: {
+      config: config,
+      hasVisits: hasVisits,
+      pruned: pruned,
+      changedDecisions: countChangedDecisions(model, compacted),
+      before: measureModel(model),
+      after: measureModel(compacted, config.precision)
+    }
+  };
+}
+
+/**
+ * Merges two models of the same state encoding into a new one, which keeps the
+ * algorithm and hyperparameters of the first. An entry found in a single model
+ * is taken as it is, one found in both is averaged
+ * @param {*} first The first model envelope
+ * @param {*} second The second model envelope
+ * @param {*} method Either "average", weighing both models evenly, or "visits",
+ * weighing each entry by the number of times each model took it
+ */
+function mergeModels(first, second, method) {
+  method = method || "average";
+  if (MERGE_METHODS.indexOf(method) < 0) {
+    throw new Error("Unknown merge method: " + method + ", expected one of " + MERGE_METHODS.join(", "));
+  }
+  if (!new StateEncoder(first.encoding).isCompatible(second.encoding)) {
+    throw new Error("The models use different state encodings: " + JSON.stringify(first.encoding) +
+        " and " + JSON.stringify(second.encoding));
+  }
+  if (first.network || second.network) {
+    throw new Error("Models learnt by a network have no Q-table to merge");
+  }
+  var firstVisits = first.visits || {}, secondVisits = second.visits || {};
+  if (method == "visits" && (!Object.keys(firstVisits).length || !Object.keys(secondVisits).length)) {
+    throw new Error("Merging weighted by visits needs both models to have counted their visits");
+  }
+
+  function mergeTables(firstTable, secondTable) {
+    var merged = {}, key;
+    for (key in firstTable) {
+      merged[key] = firstTable[key];
+    }
+    for (key in secondTable) {
+      if (!(key in merged)) {
+        merged[key] = secondTable[key];
+        continue;
+      }
+      var firstWeight = 1, secondWeight = 1;
+      if (method == "visits" && (firstVisits[key] || secondVisits[key])) {
+        firstWeight = firstVisits[key] || 0;
+        secondWeight = secondVisits[key] || 0;
+      }
+      merged[key] = (firstTable[key] * firstWeight + secondTable[key] * secondWeight) / (firstWeight + secondWeight);
+    }
+    return merged;
+  }
+
+  var merged = copyEnvelope(first);
+  merged.createdAt = new Date().toISOString();
+  merged.trials = (first.trials === null && second.trials === null) ? null : (first.trials || 0) + (second.trials || 0);
+  merged.bestScore = null;
+  merged.qTable = mergeTables(first.qTable, second.qTable);
+  if (first.qTableB || second.qTableB) {
+    merged.qTableB = mergeTables(first.qTableB || {}, second.qTableB || {});
+  }
+  merged.visits = {};
+  [firstVisits, secondVisits].forEach(function(visits) {
+    for (var key in visits) {
+      merged.visits[key] = (merged.visits[key] || 0) + visits[key];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Measures how large a model is
+ * @param {*} model The model envelope
+ * @param {*} precision Optional number of decimals the values are stored with
+ * in binary form
+ * @returns {*} The number of entries of its Q-tables and its size in bytes as
+ * JSON and in binary form, as {entries, jsonSize, binarySize}
+ */
+function measureModel(model, precision) {
+  return {
+    entries: Object.keys(model.qTable).length + (model.qTableB ? Object.keys(model.qTableB).length : 0),
+    // The keys and values of the tables are plain ASCII, hence a character per byte
+    jsonSize: JSON.stringify(model).length,
+    binarySize: encodeBinaryModel(model, precision).byteLength
+  };
+}
+
+/**
+ * Counts the states whose greedy decision differs between two models, ties
+ * being taken as staying
+ */
+function countChangedDecisions(before, after) {
+  var states = {}, changed = 0;
+  [before.qTable, before.qTableB || {}, after.qTable, after.qTableB || {}].forEach(function(table) {
+    for (var key in table) {
+      states[key.substring(0, key.lastIndexOf(","))] = true;
+    }
+  });
+  for (var state in states) {
+    if (getDecision(before, state) != getDecision(after, state)) {
+      changed++;
+    }
+  }
+  return changed;
+}
+
+function getDecision(model, state) {
+  var values = [0, 1].map(function(action) {
+    var key = state + "," + action;
+    var value = model.qTable[key] || 0;
+    // Double Q-learning decides by the average of both of its tables
+    return model.qTableB ? (value + (model.qTableB[key] || 0)) / 2 : value;
+  });
+  return values[1] > values[0] ? 1 : 0;
+}
+
+function copyEnvelope(model) {
+  var copy = {};
+  for (var key in model) {
+    copy[key] = model[key];
+  }
+  return copy;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    compactModel: compactModel,
+    mergeModels: mergeModels,
+    measureModel: measureModel,
+    COMPACTION_DEFAULTS: COMPACTION_DEFAULTS,
+    MERGE_METHODS: MERGE_METHODS
+  };
+}
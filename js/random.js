@@ -0,0 +1,26 @@
+/**
+ * The given file contains a small seedable pseudo random number generator, so that
+ * the tubes and the decisions of the flappy bird can be reproduced across runs.
+ */
+
+/**
+ * Creates a random number generator (mulberry32) which, like Math.random, returns
+ * numbers in the range [0, 1)
+ * @param {*} seed An integer seed, the same seed always yields the same sequence
+ */
+function createRandom(seed) {
+    var state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createRandom: createRandom
+    };
+}
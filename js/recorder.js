@@ -0,0 +1,140 @@
+/**
+ * The file records the trials of our flappy bird so that they can be replayed
+ * frame by frame. A trial is fully determined by the seed its tubes were placed
+ * with and by the frames in which the bird jumped, hence a recording holds:
+ * (1) trial, score, frames: How the trial went
+ * (2) seed, isStatic, config: The environment of the trial
+ * (3) tubeHeights: The heights of the tubes, in the order they were placed
+ * (4) actions: Whether the bird jumped (1) or not (0), one per frame
+ *
+ * The recorder keeps the most recent trials along with the best one.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+  var FlappySimulation = require("./simulation.js").FlappySimulation;
+}
+
+var RECORDER_DEFAULTS = {
+  // Number of the most recent trials to keep
+  capacity: 20
+};
+
+/**
+ * Creates a new recorder
+ * @param {*} options Overrides of RECORDER_DEFAULTS
+ */
+function EpisodeRecorder(options) {
+  options = options || {};
+  this.config = {};
+  for (var name in RECORDER_DEFAULTS) {
+    this.config[name] = name in options ? options[name] : RECORDER_DEFAULTS[name];
+  }
+  this.recent = [];
+  this.best = null;
+}
+
+/**
+ * Records the trial which just ended in the given simulation
+ * @param {*} simulation The simulation, reset with a seed at the start of the trial
+ * @param {*} trial The number of the trial
+ * @returns {*} The recording
+ */
+EpisodeRecorder.prototype.record = function(simulation, trial) {
+  var recording = {
+    trial: trial,
+    score: simulation.score,
+    frames: simulation.frames,
+    seed: simulation.seed,
+    isStatic: simulation.isStatic,
+    config: JSON.parse(JSON.stringify(simulation.config)),
+    tubeHeights: simulation.tubeHeights.slice(),
+    actions: simulation.actions.slice()
+  };
+  this.recent.push(recording);
+  if (this.recent.length > this.config.capacity) {
+    this.recent.shift();
+  }
+  if (!this.best || recording.score > this.best.score) {
+    this.best = recording;
+  }
+  return recording;
+};
+
+/**
+ * Returns the recordings, the best one first and then the most recent ones,
+ * newest first
+ */
+EpisodeRecorder.prototype.list = function() {
+  var best = this.best;
+  var recordings = best ? [best] : [];
+  return recordings.concat(this.recent.filter(function(recording) {
+    return recording !== best;
+  }).reverse());
+};
+
+/**
+ * Returns the recording of the given trial, if still kept
+ * @param {*} trial The number of the trial
+ */
+EpisodeRecorder.prototype.get = function(trial) {
+  return this.list().filter(function(recording) {
+    return recording.trial == trial;
+  })[0] || null;
+};
+
+/**
+ * Creates a replay of the given recording, positioned at its first frame
+ * @param {*} recording The recording, as returned by EpisodeRecorder.record
+ * @param {*} options Options of the simulation, by default the ones the trial
+ * was recorded with
+ */
+function EpisodeReplay(recording, options) {
+  this.recording = recording;
+  this.simulation = new FlappySimulation(options || recording.config);
+  this.simulation.isStatic = recording.isStatic;
+  this.seek(0);
+}
+
+/**
+ * Replays the recording up to the given frame, from the start of the trial
+ * @param {*} frame The frame to stop at, between 0 and the length of the recording
+ */
+EpisodeReplay.prototype.seek = function(frame) {
+  frame = Math.max(0, Math.min(frame, this.recording.actions.length));
+  this.simulation.reset(this.recording.seed);
+  this.frame = 0;
+  while (this.frame < frame) {
+    this.step();
+  }
+};
+
+/**
+ * Replays the next frame of the recording
+ * @returns {*} The events of the frame as returned by FlappySimulation.step, or
+ * null at the end of the recording
+ */
+EpisodeReplay.prototype.step = function() {
+  if (this.isFinished()) {
+    return null;
+  }
+  if (this.recording.actions[this.frame] == 1) {
+    this.simulation.jump();
+  }
+  this.frame++;
+  return this.simulation.step();
+};
+
+/**
+ * Whether all of the frames of the recording have been replayed
+ */
+EpisodeReplay.prototype.isFinished = function() {
+  return this.frame >= this.recording.actions.length;
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EpisodeRecorder: EpisodeRecorder,
+    EpisodeReplay: EpisodeReplay,
+    RECORDER_DEFAULTS: RECORDER_DEFAULTS
+  };
+}
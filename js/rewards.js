@@ -0,0 +1,137 @@
+/**
+ * The file contains the reward functions available to our flappy bird, i.e. how
+ * much reward each state-action pair of the frame buffer receives at the end of
+ * an episode, which is either clearing a tube or crashing into one.
+ *
+ * (1) heuristic: The original shaping of our flappy bird, the reward depends
+ * upon how close the bird was to the ideal passage position and whether it took
+ * the right decision while above or below it
+ * (2) sparse: Only the most recent state-action pair is rewarded, positively for
+ * clearing the tube and heavily negatively for crashing
+ * (3) survival: Every frame survived is rewarded, crashing is penalized
+ * (4) distance: Every frame is penalized by its distance to the ideal passage
+ * position, on top of a reward for clearing and a penalty for crashing
+ * (5) collision: As the heuristic, but whether the bird took the right decision
+ * in a lost episode is decided by what it crashed into rather than by where it
+ * was: jumping was wrong when crashing into the top tube or the ceiling, staying
+ * was wrong when crashing into the bottom tube or the ground
+ */
+
+/**
+ * Parameters of the presets
+ * (1) clearReward: Reward for clearing a tube
+ * (2) crashReward: Reward for crashing, the heuristic preset takes it as a
+ * magnitude and decides upon its sign itself
+ * (3) theta: Tolerable deviation from the ideal passage position in px
+ * (4) rightDecisionReward: Reward for taking the right decision in a lost episode
+ * (5) frameReward: Reward for every frame survived
+ * (6) distanceScale: Penalty for every px away from the ideal passage position
+ * (7) minFrameSize: Minimum number of frames rewarded at the end of an episode,
+ * which are also kept for the next one as its tail
+ */
+var REWARD_PRESETS = {
+  "heuristic": { clearReward: 5, crashReward: 100, theta: 1, rightDecisionReward: 0.5, minFrameSize: 5 },
+  "sparse": { clearReward: 1, crashReward: -1000, minFrameSize: 5 },
+  "survival": { frameReward: 1, crashReward: -100, minFrameSize: 5 },
+  "distance": { clearReward: 5, crashReward: -100, distanceScale: 1, minFrameSize: 5 },
+  "collision": { clearReward: 5, crashReward: 100, theta: 1, rightDecisionReward: 0.5, minFrameSize: 5 }
+};
+
+/**
+ * Creates a new reward function
+ * @param {*} options The preset to be used (by default heuristic) along with
+ * overrides for its parameters
+ */
+function RewardFunction(options) {
+  options = options || {};
+  var preset = options.preset || "heuristic";
+  if (!(preset in REWARD_PRESETS)) {
+    throw new Error("Unknown reward preset: " + preset);
+  }
+  this.config = { preset: preset };
+  for (var key in options) {
+    if (key != "preset" && !(key in REWARD_PRESETS[preset])) {
+      throw new Error("Unknown parameter for the " + preset + " rewards: " + key);
+    }
+  }
+  for (key in REWARD_PRESETS[preset]) {
+    this.config[key] = (key in options) ? options[key] : REWARD_PRESETS[preset][key];
+  }
+}
+
+/**
+ * Returns the reward for a state-action pair of the frame buffer
+ * @param {*} frame The state-action pair, as {env, action}
+ * @param {*} wasSuccessful Whether the episode was completed successfully
+ * @param {*} isMostRecent Whether the pair is the last one before the end of the
+ * episode
+ * @param {*} cause What the bird crashed into, if the episode was lost (see
+ * CRASH_CAUSES in js/simulation.js)
+ */
+RewardFunction.prototype.getReward = function(frame, wasSuccessful, isMostRecent, cause) {
+  return rewardFunctions[this.config.preset].call(this, frame.env, frame.action, wasSuccessful, isMostRecent, cause);
+};
+
+var rewardFunctions = {
+  "heuristic": function(state, action, wasSuccessful) {
+    var config = this.config;
+    var reward = wasSuccessful ? config.clearReward : config.crashReward;
+    // The reward for the state is influenced by how close the flappy bird was
+    // from the ideal passage position
+    var rewardForState = (reward - Math.abs(state.diffY));
+
+    // Determine if the reward for given state-action pair should be positive or
+    // negative
+    if (!wasSuccessful) {
+      if (state.diffY >= config.theta && action == 1) {
+        // If the bird was above the ideal passage position and it still decided
+        // to jump, reward negatively
+        rewardForState = -rewardForState;
+      } else if (state.diffY <= -config.theta && action == 0) {
+        // If the bird was below the ideal passage position and it still decided
+        // to not jump (stay), reward negatively
+        rewardForState = -rewardForState;
+      } else {
+        // The bird took the right decision, so don't award it negatively
+        rewardForState = config.rightDecisionReward;
+      }
+    }
+    return rewardForState;
+  },
+
+  "sparse": function(state, action, wasSuccessful, isMostRecent) {
+    if (!isMostRecent) {
+      return 0;
+    }
+    return wasSuccessful ? this.config.clearReward : this.config.crashReward;
+  },
+
+  "survival": function(state, action, wasSuccessful, isMostRecent) {
+    return (isMostRecent && !wasSuccessful) ? this.config.crashReward : this.config.frameReward;
+  },
+
+  "distance": function(state, action, wasSuccessful, isMostRecent) {
+    var reward = -this.config.distanceScale * Math.abs(state.diffY);
+    if (isMostRecent) {
+      reward += wasSuccessful ? this.config.clearReward : this.config.crashReward;
+    }
+    return reward;
+  },
+
+  "collision": function(state, action, wasSuccessful, isMostRecent, cause) {
+    var config = this.config;
+    // Without knowing the cause, the bird is judged by where it was
+    if (wasSuccessful || !cause) {
+      return rewardFunctions.heuristic.call(this, state, action, wasSuccessful);
+    }
+    var wrongAction = (cause == "top-tube" || cause == "ceiling") ? 1 : 0;
+    return action == wrongAction ? -(config.crashReward - Math.abs(state.diffY)) : config.rightDecisionReward;
+  }
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RewardFunction: RewardFunction,
+    REWARD_PRESETS: REWARD_PRESETS
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * The given file describes the configuration of a whole session of the page: the environment and its physics,
+ * the hyperparameters of the agent, the seed and the model to start from, along with how the game is shown.
+ * A session is written to a link, as the query or the hash of the page, or kept as a named preset in JSON,
+ * and the page sets it up on load (see applySession in js/config.js), so that whoever opens the link trains
+ * exactly the same way.
+ *
+ * In a link every setting is a parameter of its own, the physics by their names in SIMULATION_DEFAULTS (see
+ * js/simulation.js), the buckets as comma separated name:size pairs and the features as a comma separated
+ * list, the parameters of the rewards and of the exploration after a prefix, e.g. rewards.crashReward or
+ * exploration.epsilon. Only the settings which differ from SESSION_DEFAULTS are written, e.g.
+ * #environment=random&gravity=0.3&alpha=0.2&buckets=tubeX:3,diffY:6&seed=42&model=library:random
+ * Any other parameter of the link, such as an anchor or a tracking tag, is left alone.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+    var SIMULATION_DEFAULTS = require("./simulation.js").SIMULATION_DEFAULTS;
+    var StateEncoder = require("./encoding.js").StateEncoder;
+    var ENCODING_DEFAULTS = require("./encoding.js").ENCODING_DEFAULTS;
+    var Learner = require("./learners.js").Learner;
+    var RewardFunction = require("./rewards.js").RewardFunction;
+    var Exploration = require("./exploration.js").Exploration;
+    var EXPLORATION_PRESETS = require("./exploration.js").EXPLORATION_PRESETS;
+    var EXPLORATION_DEFAULTS = require("./exploration.js").EXPLORATION_DEFAULTS;
+}
+
+// The environments the bird can be trained in, the curriculum going through several of them
+var SESSION_ENVIRONMENTS = ["static", "random", "curriculum"];
+
+/**
+ * Default configuration of a session, i.e. the one of a fresh page
+ * (1) environment: One of SESSION_ENVIRONMENTS (see js/curriculum.js for the curriculum)
+ * (2) physics: Overrides of SIMULATION_DEFAULTS, which a curriculum overrides in turn
+ * (3) alpha, gamma: The learning rate and the discount factor of the agent (see js/brain.js)
+ * (4) algorithm, rewards, exploration: The learning algorithm, the reward preset and the exploration preset
+ * (see js/learners.js, js/rewards.js and js/exploration.js)
+ * (5) rewardParams, explorationParams: Overrides of the parameters of the reward preset, e.g. crashReward,
+ * and of the exploration preset, e.g. epsilon, temperature, c or decay
+ * (6) encoding: The buckets and the extra features of the state, as {buckets, features} (see js/encoding.js)
+ * (7) seed: Seed of the session (see js/index.js), random if null
+ * (8) speed: The game speed of the sidebar, the game looping every 100 - speed ms
+ * (9) displayTarget, debug: Whether the target tube and the debug overlay are drawn
+ * (10) model: The model to start from, if any, either the URL of a model file or "library:" followed by the
+ * name of a model of the library (see js/storage.js), which only opens in the browser it was saved in
+ */
+var SESSION_DEFAULTS = {
+    environment: "static",
+    physics: {},
+    alpha: 0.1,
+    gamma: 0.8,
+    algorithm: "q-learning",
+    rewards: "heuristic",
+    exploration: "greedy",
+    rewardParams: {},
+    explorationParams: {},
+    encoding: { buckets: {}, features: [] },
+    seed: null,
+    speed: 60,
+    displayTarget: false,
+    debug: false,
+    model: null
+};
+
+// The prefixes of the parameters of the rewards and of the exploration in a link
+var PARAMS_PREFIXES = { rewardParams: "rewards.", explorationParams: "exploration." };
+
+// The prefix of the models of the library, as opposed to model files
+var SESSION_LIBRARY_PREFIX = "library:";
+
+/**
+ * Creates a session, checking every setting
+ * @param {*} options Overrides for SESSION_DEFAULTS
+ */
+function createSession(options) {
+    options = options || {};
+    var session = {};
+    for (var key in options) {
+        if (!(key in SESSION_DEFAULTS)) {
+            throw new Error("Unknown setting of the session: " + key);
+        }
+    }
+    for (key in SESSION_DEFAULTS) {
+        session[key] = (key in options) ? options[key] : SESSION_DEFAULTS[key];
+    }
+    if (SESSION_ENVIRONMENTS.indexOf(session.environment) < 0) {
+        throw new Error("Unknown environment: " + session.environment + ", expected one of " + SESSION_ENVIRONMENTS.join(", "));
+    }
+    var physics = {};
+    for (key in session.physics) {
+        if (!(key in SIMULATION_DEFAULTS)) {
+            throw new Error("Unknown parameter of the environment: " + key);
+        }
+        if (typeof session.physics[key] != typeof SIMULATION_DEFAULTS[key] || session.physics[key] !== session.physics[key]) {
+            throw new Error("Invalid value of the " + key + " of the environment: " + session.physics[key]);
+        }
+        physics[key] = session.physics[key];
+    }
+    session.physics = physics;
+    ["alpha", "gamma"].forEach(function(name) {
+        if (typeof session[name] != "number" || !(session[name] >= 0 && session[name] <= 1)) {
+            throw new Error("The " + name + " of the agent must range between 0 and 1, got: " + session[name]);
+        }
+    });
+    // The algorithm and the presets are checked by setting them up
+    new Learner({ algorithm: session.algorithm });
+    if (!EXPLORATION_PRESETS.hasOwnProperty(session.exploration)) {
+        throw new Error("Unknown exploration preset: " + session.exploration);
+    }
+    session.rewardParams = checkParams(session.rewardParams, new RewardFunction({ preset: session.rewards }).config,
+        "preset", "the " + session.rewards + " rewards");
+    session.explorationParams = checkParams(session.explorationParams,
+        new Exploration(EXPLORATION_PRESETS[session.exploration]).config, "strategy", "the " + session.exploration + " exploration");
+    if (["none", "linear", "exponential"].indexOf(getSessionExploration(session).config.decay) < 0) {
+        throw new Error("Unknown decay of the exploration: " + session.explorationParams.decay);
+    }
+    session.encoding = new StateEncoder(session.encoding).config;
+    if (session.seed !== null && !(session.seed === Math.floor(session.seed) && session.seed >= 0 && session.seed < 4294967296)) {
+        throw new Error("The seed must be a whole number between 0 and 4294967295, got: " + session.seed);
+    }
+    if (typeof session.speed != "number" || !(session.speed >= 0 && session.speed <= 100)) {
+        throw new Error("The speed must range between 0 and 100, got: " + session.speed);
+    }
+    ["displayTarget", "debug"].forEach(function(name) {
+        if (typeof session[name] != "boolean") {
+            throw new Error("The setting " + name + " must be true or false, got: " + session[name]);
+        }
+    });
+    if (session.model !== null && (typeof session.model != "string" || !session.model)) {
+        throw new Error("The model must be the URL of a model file or " + SESSION_LIBRARY_PREFIX + "<name>, got: " + session.model);
+    }
+    return session;
+}
+
+/**
+ * Keeps the overrides of a preset which differ from it, checking them
+ * @param {*} params The overrides
+ * @param {*} base The configuration of the preset
+ * @param {*} fixedKey The key which only the preset decides upon
+ * @param {*} owner What the parameters are of, for the errors
+ */
+function checkParams(params, base, fixedKey, owner) {
+    var checked = {};
+    for (var key in params) {
+        if (!base.hasOwnProperty(key)) {
+            throw new Error("Unknown parameter of " + owner + ": " + key);
+        }
+        if (params[key] === base[key]) {
+            continue;
+        }
+        if (key == fixedKey || typeof params[key] != typeof base[key] || params[key] !== params[key]) {
+            throw new Error("Invalid value of the " + key + " of " + owner + ": " + params[key]);
+        }
+        checked[key] = params[key];
+    }
+    return checked;
+}
+
+/**
+ * Sets up the reward function of a session, i.e. its reward preset along with the overrides
+ */
+function getSessionRewards(session) {
+    var options = { preset: session.rewards };
+    for (var key in session.rewardParams) {
+        options[key] = session.rewardParams[key];
+    }
+    return new RewardFunction(options);
+}
+
+/**
+ * Sets up the exploration of a session, i.e. its exploration preset along with the overrides
+ */
+function getSessionExploration(session) {
+    var options = {}, key;
+    for (key in EXPLORATION_PRESETS[session.exploration]) {
+        options[key] = EXPLORATION_PRESETS[session.exploration][key];
+    }
+    for (key in session.explorationParams) {
+        options[key] = session.explorationParams[key];
+    }
+    return new Exploration(options);
+}
+
+/**
+ * Writes a session as the query of a link, without the leading ? or #
+ * @param {*} session The session, as returned by createSession
+ */
+function writeSessionQuery(session) {
+    var params = [];
+    function add(name, value) {
+        // The separators of the buckets, the features and the URLs are kept readable
+        params.push(name + "=" + encodeURIComponent(value).replace(/%2C/g, ",").replace(/%3A/g, ":").replace(/%2F/g, "/"));
+    }
+    for (var key in SESSION_DEFAULTS) {
+        if (key == "physics") {
+            for (var name in session.physics) {
+                if (session.physics[name] !== SIMULATION_DEFAULTS[name]) {
+                    add(name, session.physics[name]);
+                }
+            }
+        } else if (key == "encoding") {
+            var buckets = [];
+            for (name in session.encoding.buckets) {
+                if (session.encoding.buckets[name] != ENCODING_DEFAULTS.buckets[name]) {
+                    buckets.push(name + ":" + session.encoding.buckets[name]);
+                }
+            }
+            if (buckets.length) {
+                add("buckets", buckets.join(","));
+            }
+            if (session.encoding.features.length) {
+                add("features", session.encoding.features.join(","));
+            }
+        } else if (key == "rewardParams" || key == "explorationParams") {
+            for (name in session[key]) {
+                add(PARAMS_PREFIXES[key] + name, session[key][name]);
+            }
+        } else if (session[key] !== SESSION_DEFAULTS[key]) {
+            add(key, session[key]);
+        }
+    }
+    return params.join("&");
+}
+
+/**
+ * Reads a session from the query of a link, skipping the parameters which are no setting of the session
+ * @param {*} query The query, with or without its leading ? or #
+ * @returns {*} The session, the settings missing from the query being the defaults, or null if the query
+ * holds no setting at all
+ */
+function parseSessionQuery(query) {
+    var options = { rewardParams: {}, explorationParams: {} }, physics = {}, encoding = {}, found = false;
+    query.replace(/^[?#]/, "").split("&").filter(Boolean).forEach(function(param) {
+        // The names of the settings need no decoding, hence any other parameter is left alone before it is
+        // decoded, as it may be no valid encoding at all, e.g. #100%
+        var index = param.indexOf("=");
+        var name = index < 0 ? param : param.substring(0, index);
+        if (!isSessionParam(name)) {
+            return;
+        }
+        found = true;
+        var value = index < 0 ? "" : param.substring(index + 1).replace(/\+/g, " ");
+        try {
+            value = decodeURIComponent(value);
+        } catch (e) {
+            throw new Error("Invalid value of the setting " + name + ": " + value);
+        }
+        if (name in SIMULATION_DEFAULTS) {
+            physics[name] = parseSetting(name, value, SIMULATION_DEFAULTS[name]);
+        } else if (name == "buckets") {
+            encoding.buckets = {};
+            value.split(",").filter(Boolean).forEach(function(pair) {
+                var parts = pair.split(":");
+                encoding.buckets[parts[0]] = parseSetting("buckets", parts[1], 1);
+            });
+        } else if (name == "features") {
+            encoding.features = value.split(",").filter(Boolean);
+        } else if (name.indexOf(PARAMS_PREFIXES.rewardParams) == 0) {
+            // The parameters of every reward preset are numbers
+            options.rewardParams[name.substring(PARAMS_PREFIXES.rewardParams.length)] = parseSetting(name, value, 0);
+        } else if (name.indexOf(PARAMS_PREFIXES.explorationParams) == 0) {
+            var param = name.substring(PARAMS_PREFIXES.explorationParams.length);
+            options.explorationParams[param] = parseSetting(name, value,
+                EXPLORATION_DEFAULTS.hasOwnProperty(param) ? EXPLORATION_DEFAULTS[param] : "");
+        } else {
+            // The seed and the model default to null, the seed being a number nonetheless
+            options[name] = parseSetting(name, value, name == "seed" ? 0 : SESSION_DEFAULTS[name]);
+        }
+    });
+    if (!found) {
+        return null;
+    }
+    options.physics = physics;
+    options.encoding = encoding;
+    return createSession(options);
+}
+
+// Whether a parameter of a link is a setting of the session
+function isSessionParam(name) {
+    // Own keys only, an anchor such as #constructor being no setting
+    var has = Object.prototype.hasOwnProperty;
+    return has.call(SIMULATION_DEFAULTS, name) || name == "buckets" || name == "features" ||
+        name.indexOf(PARAMS_PREFIXES.rewardParams) == 0 || name.indexOf(PARAMS_PREFIXES.explorationParams) == 0 ||
+        (has.call(SESSION_DEFAULTS, name) && name != "physics" && name != "encoding" && !has.call(PARAMS_PREFIXES, name));
+}
+
+/**
+ * Parses the value of a setting after the type of its default
+ */
+function parseSetting(name, value, defaultValue) {
+    if (typeof defaultValue == "boolean") {
+        if (value == "true" || value == "1") {
+            return true;
+        }
+        if (value == "false" || value == "0") {
+            return false;
+        }
+    } else if (typeof defaultValue == "number") {
+        if (value !== undefined && value.trim() !== "" && !isNaN(Number(value))) {
+            return Number(value);
+        }
+    } else {
+        return value;
+    }
+    throw new Error("Invalid value of the setting " + name + ": " + value);
+}
+
+/**
+ * Reads the session of a link from both its query and its hash, the hash winning for a setting found in both
+ * @param {*} search The query of the link, as in location.search
+ * @param {*} hash The hash of the link, as in location.hash
+ * @returns {*} The session, or null if the link holds no setting at all
+ */
+function readSessionLink(search, hash) {
+    var query = [search || "", hash || ""].map(function(part) {
+        return part.replace(/^[?#]/, "");
+    }).filter(Boolean).join("&");
+    return parseSessionQuery(query);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createSession: createSession,
+        writeSessionQuery: writeSessionQuery,
+        parseSessionQuery: parseSessionQuery,
+        readSessionLink: readSessionLink,
+        getSessionRewards: getSessionRewards,
+        getSessionExploration: getSessionExploration,
+        SESSION_DEFAULTS: SESSION_DEFAULTS,
+        SESSION_ENVIRONMENTS: SESSION_ENVIRONMENTS,
+        SESSION_LIBRARY_PREFIX: SESSION_LIBRARY_PREFIX
+    };
+}
@@ -0,0 +1,334 @@
+/**
+ * The given file contains the headless simulation of our 32x32 flappy bird world.
+ * It owns the physics (gravity, jump speed), the tubes and the hitbox rules and can
+ * step the world frame by frame without any DOM or canvas, so that the very same
+ * rules can be used by the browser game, by Node scripts and by Web Workers.
+ *
+ * The browser game in js/index.js only renders from the state maintained here.
+ *
+ * Collisions are checked between hitboxes, i.e. rectangles {left, top, right,
+ * bottom} in pixels, the right and bottom edges being excluded:
+ * (1) bird: One rectangle per run of opaque pixels in every row of its sprite
+ * (2) tube pair: The top tube and the bottom tube around the gap, each made of its
+ * lip, spanning the whole width, and of its narrower body extending off screen
+ * (3) ground and ceiling: The row of the ground and anything above the screen,
+ * which only end the trial with crashOnBounds, the bird being held back by them
+ * otherwise as in the original game
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+    var createRandom = require("./random.js").createRandom;
+}
+
+/**
+ * Default parameters of the world, mirroring the sprites in the sprite sheet
+ * (32x32 background, 6x44 tube with a 12px gap and a 5x3 bird). The gap can be
+ * narrowed or widened around its center, the tubes then extending as far as
+ * needed above and below it. With crashOnBounds, touching the ground or flying
+ * off the top of the screen ends the trial
+ */
+var SIMULATION_DEFAULTS = {
+    width: 32,
+    height: 32,
+    birdX: 5,
+    birdStartY: 14,
+    birdHeight: 5,
+    gravity: 0.25,
+    jumpSpeed: -1.4,
+    tubeWidth: 6,
+    tubeHeight: 44,
+    tubeGapCenter: 23,
+    tubeGapHeight: 12,
+    tubeYVariance: 10,
+    tubeStartX: 48,
+    tubeSpacing: 19,
+    tubeSpeed: 1,
+    staticTubeRatio: 0.639,
+    crashOnBounds: false
+};
+
+// The causes of the end of a trial, i.e. what the bird crashed into
+var CRASH_CAUSES = {
+    TOP_TUBE: "top-tube",
+    BOTTOM_TUBE: "bottom-tube",
+    GROUND: "ground",
+    CEILING: "ceiling"
+};
+
+// Opaque pixels of the three frames of the flapping bird, as drawn from the sprite sheet
+var BIRD_SPRITES = [
+    ["####.", ".####", "..#.."],
+    [".###.", "#####", "..#.."],
+    [".###.", ".####", "#.#.."]
+];
+
+/**
+ * Creates a new simulation of the world
+ * @param {*} options Overrides for SIMULATION_DEFAULTS, plus:
+ * isStatic: Whether the tubes should always be placed at the same height
+ * random: The source of randomness to be used for placing the tubes, defaults to
+ * Math.random, unless a seed is given to reset
+ */
+function FlappySimulation(options) {
+    options = options || {};
+    this.config = {};
+    for (var key in SIMULATION_DEFAULTS) {
+        this.config[key] = (key in options) ? options[key] : SIMULATION_DEFAULTS[key];
+    }
+    this.isStatic = ("isStatic" in options) ? options.isStatic : true;
+    this.random = options.random || Math.random;
+    this.birdX = this.config.birdX;
+    this.tubes = [];
+    this.reset();
+}
+
+/**
+ * Puts the bird back at its starting position and the tubes back at the right
+ * of the screen. The heights of the tubes and the frames in which the bird
+ * jumped are recorded from there on, so that the trial can be replayed
+ * @param {*} seed Optional seed for placing the tubes, which makes the trial
+ * reproducible
+ */
+FlappySimulation.prototype.reset = function(seed) {
+    var config = this.config;
+    if (seed !== undefined) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+    }
+    this.tubeHeights = [];
+    this.actions = [];
+    this.hasJumped = false;
+    this.birdY = config.birdStartY;
+    this.birdYSpeed = 0;
+    this.birdFrame = 0;
+    this.score = 0;
+    this.frames = 0;
+    this.activeTube = 0;
+    this.isOver = false;
+    this.cause = null;
+    for (var i = 0; i < 2; i++) {
+        this.tubes[i] = {x : Math.round(config.tubeStartX + i * config.tubeSpacing) };
+        this.setTubeY(this.tubes[i]);
+    }
+};
+
+/**
+ * Sets the y-coordinate for the tube depending upon if the given environment
+ * should be deterministic or stochastic
+ * @param {*} tube The tube to be placed
+ */
+FlappySimulation.prototype.setTubeY = function(tube) {
+    var config = this.config;
+    if (this.isStatic) {
+        tube.y = Math.floor(config.staticTubeRatio * (config.height - config.tubeHeight));
+    } else {
+        // The heights of the randomly placed tubes span tubeYVariance pixels
+        var middle = (config.height - config.tubeHeight + 2) / 2;
+        tube.y = Math.floor(middle + config.tubeYVariance / 2 - this.random() * config.tubeYVariance);
+    }
+    this.tubeHeights.push(tube.y);
+};
+
+/**
+ * Returns a snapshot of the world as observed by the flappy bird, along with the
+ * offset of the middle of the gap from the top of a tube, the lowest y-coordinate
+ * the bird can fall to and whether the ground and the ceiling are deadly
+ */
+FlappySimulation.prototype.getObservation = function() {
+    var config = this.config;
+    return {
+        birdX: this.birdX,
+        birdY: this.birdY,
+        birdYSpeed: this.birdYSpeed,
+        tubeGapCenter: this.getGapTop() + config.tubeGapHeight / 2,
+        floorY: config.height - config.birdHeight + 1,
+        crashOnBounds: config.crashOnBounds,
+        tubes: this.tubes.map(function(tube) {
+            return { x: tube.x, y: tube.y };
+        })
+    };
+};
+
+/**
+ * Returns the offset of the first row of the gap from the top of a tube
+ */
+FlappySimulation.prototype.getGapTop = function() {
+    return Math.round(this.config.tubeGapCenter - this.config.tubeGapHeight / 2);
+};
+
+/**
+ * Sets the given parameters of the world, taking effect from the next step
+ * @param {*} options Parameters as in SIMULATION_DEFAULTS
+ */
+FlappySimulation.prototype.configure = function(options) {
+    for (var key in options) {
+        if (!(key in SIMULATION_DEFAULTS)) {
+            throw new Error("Unknown parameter of the environment: " + key);
+        }
+        this.config[key] = options[key];
+    }
+};
+
+/**
+ * Pushes the bird upwards, the effect of which shows up in the next step
+ */
+FlappySimulation.prototype.jump = function() {
+    this.birdYSpeed = this.config.jumpSpeed;
+    this.hasJumped = true;
+};
+
+/**
+ * Advances the world by a single frame: moves the tubes, applies gravity on the
+ * bird and checks for the bird scoring or crashing
+ * @returns {*} The events of the frame as {scored, scoredTube, crashed, cause},
+ * scoredTube being the index of the tube pair the bird just cleared and cause
+ * one of CRASH_CAUSES
+ */
+FlappySimulation.prototype.step = function() {
+    var config = this.config;
+    var events = { scored: false, scoredTube: -1, crashed: false, cause: null };
+    if (this.isOver) {
+        return events;
+    }
+
+    var i, tube;
+    this.actions.push(this.hasJumped ? 1 : 0);
+    this.hasJumped = false;
+    this.activeTube = this.tubes[0].x < this.tubes[1].x ? 0 : 1;
+    var activeTubeX = this.tubes[this.activeTube].x;
+    for (i = 0; i < 2; i++) {
+        this.tubes[i].x -= config.tubeSpeed;
+    }
+    for (i = 0; i < 2; i++) {
+        tube = this.tubes[i];
+        if (tube.x <= -config.tubeWidth) {
+            // The tube comes back behind the other one
+            tube.x = this.tubes[1 - i].x + config.tubeSpacing;
+            this.setTubeY(tube);
+        }
+    }
+
+    this.birdY = Math.round(this.birdY + this.birdYSpeed);
+    // Gravity for the environment
+    this.birdYSpeed += config.gravity;
+    if (!config.crashOnBounds && this.birdY < 0) {
+        this.birdY = 0;
+        this.birdYSpeed = 0;
+    }
+    if (!config.crashOnBounds && this.birdY + config.birdHeight > config.height) {
+        this.birdY = config.height - config.birdHeight + 1;
+        this.birdYSpeed = 0;
+    }
+    this.birdFrame = (this.birdFrame + 1) % BIRD_SPRITES.length;
+    this.frames++;
+
+    // The bird scores as soon as the right edge of the tube pair it was facing
+    // goes past its left edge
+    if (activeTubeX + config.tubeWidth > this.birdX && this.birdX >= this.tubes[this.activeTube].x + config.tubeWidth) {
+        this.score++;
+        events.scored = true;
+        events.scoredTube = this.activeTube;
+    }
+    this.cause = this.getCollision();
+    if (this.cause) {
+        this.isOver = true;
+        events.crashed = true;
+        events.cause = this.cause;
+    }
+    return events;
+};
+
+/**
+ * Returns the hitbox of the bird, one rectangle per run of opaque pixels in
+ * every row of its current sprite
+ */
+FlappySimulation.prototype.getBirdHitbox = function() {
+    var hitbox = [], sprite = BIRD_SPRITES[this.birdFrame];
+    for (var dy = 0; dy < sprite.length; dy++) {
+        var runs = sprite[dy].match(/#+/g) || [], from = 0;
+        for (var r = 0; r < runs.length; r++) {
+            var dx = sprite[dy].indexOf(runs[r], from);
+            hitbox.push({ left: this.birdX + dx, top: this.birdY + dy, right: this.birdX + dx + runs[r].length,
+                bottom: this.birdY + dy + 1 });
+            from = dx + runs[r].length;
+        }
+    }
+    return hitbox;
+};
+
+/**
+ * Returns the hitboxes of a tube pair as {top, bottom}, each being the lip and
+ * the body of the tube, i.e. the top tube with its 2px lip above the gap and the
+ * bottom tube with its 1px lip below it
+ * @param {*} tube The tube pair
+ */
+FlappySimulation.prototype.getTubeHitboxes = function(tube) {
+    var config = this.config;
+    var gapTop = tube.y + this.getGapTop(), gapBottom = gapTop + config.tubeGapHeight;
+    var left = tube.x, right = tube.x + config.tubeWidth;
+    return {
+        top: [
+            { left: left, top: gapTop - 2, right: right, bottom: gapTop },
+            { left: left + 1, top: -Infinity, right: right - 1, bottom: gapTop - 2 }
+        ],
+        bottom: [
+            { left: left, top: gapBottom, right: right, bottom: gapBottom + 1 },
+            { left: left + 1, top: gapBottom + 1, right: right - 1, bottom: Infinity }
+        ]
+    };
+};
+
+/**
+ * Returns the hitboxes of the ground and of the ceiling
+ */
+FlappySimulation.prototype.getBoundsHitboxes = function() {
+    var config = this.config;
+    return {
+        ground: { left: -Infinity, top: config.height - 1, right: Infinity, bottom: Infinity },
+        ceiling: { left: -Infinity, top: -Infinity, right: Infinity, bottom: 0 }
+    };
+};
+
+/**
+ * Returns what the bird is crashing into, as one of CRASH_CAUSES, or null
+ */
+FlappySimulation.prototype.getCollision = function() {
+    var bird = this.getBirdHitbox();
+    for (var i = 0; i < this.tubes.length; i++) {
+        var tube = this.getTubeHitboxes(this.tubes[i]);
+        if (overlaps(bird, tube.top)) {
+            return CRASH_CAUSES.TOP_TUBE;
+        }
+        if (overlaps(bird, tube.bottom)) {
+            return CRASH_CAUSES.BOTTOM_TUBE;
+        }
+    }
+    if (this.config.crashOnBounds) {
+        var bounds = this.getBoundsHitboxes();
+        if (overlaps(bird, [bounds.ground])) {
+            return CRASH_CAUSES.GROUND;
+        }
+        if (overlaps(bird, [bounds.ceiling])) {
+            return CRASH_CAUSES.CEILING;
+        }
+    }
+    return null;
+};
+
+// Whether any of the rectangles of the first hitbox intersects any of the second
+function overlaps(hitbox, otherHitbox) {
+    return hitbox.some(function(a) {
+        return otherHitbox.some(function(b) {
+            return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+        });
+    });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        FlappySimulation: FlappySimulation,
+        SIMULATION_DEFAULTS: SIMULATION_DEFAULTS,
+        CRASH_CAUSES: CRASH_CAUSES,
+        BIRD_SPRITES: BIRD_SPRITES
+    };
+}
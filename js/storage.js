@@ -0,0 +1,278 @@
+/**
+ * The script contains the model library of the page, which keeps several named
+ * models in the browser storage. Models are kept in the local storage, and the
+ * ones too large for its quota are kept in IndexedDB instead. A small index of
+ * all the models along with their trials, best score and number of rules is
+ * kept in the local storage so that the library can be listed without reading
+ * every model.
+ *
+ * The named presets of the session (see js/session.js) are kept alongside, all
+ * of them under a single key of the local storage.
+ */
+
+if (typeof module !== "undefined" && module.exports) {
+    var parseModel = require("./model.js").parseModel;
+    var createSession = require("./session.js").createSession;
+}
+
+var LIBRARY_INDEX_KEY = "flappybird-models";
+var LIBRARY_MODEL_PREFIX = "flappybird-model:";
+var LIBRARY_DATABASE = "flappybird";
+var LIBRARY_STORE = "models";
+
+// The key under which the single model was saved before the library existed
+var LEGACY_MODEL_KEY = "flappybird-qtable";
+
+var SESSION_PRESETS_KEY = "flappybird-sessions";
+
+var modelLibrary = {
+
+    /**
+     * Returns the entries of the library sorted by name, each as {name, trials,
+     * bestScore, rules, createdAt, size, backend}
+     */
+    list: function() {
+        var index = readLibraryIndex();
+        return Object.keys(index).sort().map(function(name) {
+            return index[name];
+        });
+    },
+
+    /**
+     * Saves the model under the given name, overwriting any model of that name
+     * @param {*} name The name of the model
+     * @param {*} model The model envelope (see js/model.js)
+     * @returns {*} A promise resolving to the library entry of the model
+     */
+    save: function(name, model) {
+        var data = JSON.stringify(model);
+        var entry = {
+            name: name,
+            trials: model.trials,
+            bestScore: model.bestScore,
+            rules: Object.keys(model.qTable).length,
+            createdAt: model.createdAt,
+            size: data.length,
+            backend: "localStorage"
+        };
+        var previous = readLibraryIndex()[name];
+        return Promise.resolve().then(function() {
+            try {
+                window.localStorage.setItem(LIBRARY_MODEL_PREFIX + name, data);
+            } catch (e) {
+                if (!isQuotaExceeded(e)) {
+                    throw e;
+                }
+                entry.backend = "indexedDB";
+                return runInStore("readwrite", function(store) {
+                    return store.put({ name: name, data: data });
+                });
+            }
+        }).then(function() {
+            var index = readLibraryIndex();
+            index[name] = entry;
+            writeLibraryIndex(index);
+            // The model being overwritten is only deleted once the new one is written, so that it is kept
+            // should the write fail
+            if (previous && previous.backend != entry.backend) {
+                return removeStoredModel(name, previous.backend);
+            }
+        }).then(function() {
+            return entry;
+        });
+    },
+
+    /**
+     * Reads the model of the given name
+     * @returns {*} A promise resolving to the model as a JSON string
+     */
+    load: function(name) {
+        var entry = readLibraryIndex()[name];
+        if (!entry) {
+            return Promise.reject(new Error("No model named \"" + name + "\" in the library"));
+        }
+        if (entry.backend == "indexedDB") {
+            return runInStore("readonly", function(store) {
+                return store.get(name);
+            }).then(function(record) {
+                return record.data;
+            });
+        }
+        return Promise.resolve(window.localStorage.getItem(LIBRARY_MODEL_PREFIX + name));
+    },
+
+    /**
+     * Renames a model of the library
+     */
+    rename: function(name, newName) {
+        if (readLibraryIndex()[newName]) {
+            return Promise.reject(new Error("A model named \"" + newName + "\" already exists"));
+        }
+        return modelLibrary.load(name).then(function(data) {
+            return modelLibrary.save(newName, JSON.parse(data));
+        }).then(function() {
+            return modelLibrary.remove(name);
+        });
+    },
+
+    /**
+     * Deletes a model of the library, doing nothing if there is none of that name
+     */
+    remove: function(name) {
+        var index = readLibraryIndex();
+        var entry = index[name];
+        delete index[name];
+        writeLibraryIndex(index);
+        return removeStoredModel(name, entry ? entry.backend : "localStorage");
+    },
+
+    /**
+     * Estimates the storage used by the library
+     * @returns {*} A promise resolving to {localStorage, indexedDB} in bytes
+     */
+    getUsage: function() {
+        var usage = { localStorage: 0, indexedDB: 0 };
+        modelLibrary.list().forEach(function(entry) {
+            // Strings are stored as UTF-16, i.e. 2 bytes per character
+            usage[entry.backend] += entry.size * 2;
+        });
+        return Promise.resolve(usage);
+    },
+
+    /**
+     * Moves the model saved before the library existed into the library
+     */
+    migrateLegacyModel: function() {
+        // Started from a promise, so that a model which cannot be read rejects it rather than throwing
+        return Promise.resolve().then(function() {
+            var data = window.localStorage.getItem(LEGACY_MODEL_KEY), model;
+            if (data === null) {
+                return;
+            }
+            try {
+                model = parseModel(data);
+            } catch (e) {
+                // It would fail again on every load of the page
+                window.localStorage.removeItem(LEGACY_MODEL_KEY);
+                throw e;
+            }
+            return modelLibrary.save("Saved model", model).then(function() {
+                window.localStorage.removeItem(LEGACY_MODEL_KEY);
+            });
+        });
+    }
+};
+
+function readLibraryIndex() {
+    return JSON.parse(window.localStorage.getItem(LIBRARY_INDEX_KEY) || "{}");
+}
+
+function writeLibraryIndex(index) {
+    window.localStorage.setItem(LIBRARY_INDEX_KEY, JSON.stringify(index));
+}
+
+/**
+ * Deletes the model of the given name from the given store
+ * @param {*} name The name of the model
+ * @param {*} backend Either "localStorage" or "indexedDB"
+ * @returns {*} A promise resolving once it is deleted
+ */
+function removeStoredModel(name, backend) {
+    if (backend == "indexedDB") {
+        return runInStore("readwrite", function(store) {
+            return store.delete(name);
+        });
+    }
+    window.localStorage.removeItem(LIBRARY_MODEL_PREFIX + name);
+    return Promise.resolve();
+}
+
+function isQuotaExceeded(e) {
+    return e && (e.name == "QuotaExceededError" || e.name == "NS_ERROR_DOM_QUOTA_REACHED" || e.code == 22);
+}
+
+/**
+ * Runs a request against the IndexedDB store of the library
+ * @param {*} mode Either "readonly" or "readwrite"
+ * @param {*} makeRequest Function creating the request given the store
+ * @returns {*} A promise resolving to the result of the request
+ */
+function runInStore(mode, makeRequest) {
+    return new Promise(function(resolve, reject) {
+        if (!window.indexedDB) {
+            reject(new Error("The model is too large for the local storage and IndexedDB is not available"));
+            return;
+        }
+        var open = window.indexedDB.open(LIBRARY_DATABASE, 1);
+        open.onupgradeneeded = function() {
+            open.result.createObjectStore(LIBRARY_STORE, { keyPath: "name" });
+        };
+        open.onerror = function() {
+            reject(open.error);
+        };
+        open.onsuccess = function() {
+            var db = open.result;
+            var request = makeRequest(db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE));
+            request.onsuccess = function() {
+                db.close();
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                db.close();
+                reject(request.error);
+            };
+        };
+    });
+}
+
+var sessionPresets = {
+
+    /**
+     * Returns the names of the presets, sorted
+     */
+    list: function() {
+        return Object.keys(readSessionPresets()).sort();
+    },
+
+    /**
+     * Returns the session of the given preset, checked as it may have been
+     * saved by an older version of the page
+     */
+    load: function(name) {
+        var presets = readSessionPresets();
+        if (!(name in presets)) {
+            throw new Error("No preset named \"" + name + "\"");
+        }
+        return createSession(presets[name]);
+    },
+
+    /**
+     * Saves a session under the given name, overwriting any preset of that name
+     */
+    save: function(name, session) {
+        var presets = readSessionPresets();
+        presets[name] = session;
+        window.localStorage.setItem(SESSION_PRESETS_KEY, JSON.stringify(presets));
+    },
+
+    /**
+     * Deletes a preset, doing nothing if there is none of that name
+     */
+    remove: function(name) {
+        var presets = readSessionPresets();
+        delete presets[name];
+        window.localStorage.setItem(SESSION_PRESETS_KEY, JSON.stringify(presets));
+    }
+};
+
+function readSessionPresets() {
+    return JSON.parse(window.localStorage.getItem(SESSION_PRESETS_KEY) || "{}");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        modelLibrary: modelLibrary,
+        sessionPresets: sessionPresets,
+        LEGACY_MODEL_KEY: LEGACY_MODEL_KEY
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * The Web Worker training our flappy bird in the background of the page, at full speed instead of at the
+ * pace of the game loop and without any rendering. The page hands over the agent as a model (see
+ * js/model.js) along with the environment, and the worker trains it in its own headless simulation,
+ * reporting back every so often:
+ * (1) the results of the trials, for the learning curve of the sidebar
+ * (2) the last world to be rendered, taken every few frames
+ * (3) the model learnt so far, which the page adopts as its agent
+ *
+ * Messages from the page:
+ * { type: "start", model, environment: { isStatic, config }, curriculum: { stageIndex, scores } or null,
+ *   seed, renderEvery }
+ * { type: "pause" }, { type: "resume" }, { type: "stop" }, { type: "render", renderEvery }
+ *
+ * Messages to the page:
+ * { type: "progress", trials: [...], world, curriculum, model, isStopped }, the model only every second
+ * and whenever the training is paused or stopped
+ */
+
+importScripts("random.js", "simulation.js", "exploration.js", "network.js", "dqn.js", "learners.js",
+    "encoding.js", "rewards.js", "model.js", "brain.js", "curriculum.js");
+
+// Time spent training before looking at the messages of the page, and between the reports, in ms
+var CHUNK_TIME = 20, PROGRESS_TIME = 100, MODEL_TIME = 1000;
+
+var training = null;
+
+/**
+ * Sets up the agent, the simulation and the curriculum from the message of the page
+ */
+function startTraining(message) {
+    var random = createRandom(message.seed);
+    var model = parseModel(message.model);
+    var agent = new Agent({ encoding: model.encoding, random: random });
+    applyModel(agent, model);
+    var simulation = new FlappySimulation({ isStatic: message.environment.isStatic });
+    simulation.configure(message.environment.config);
+    var curriculum = null;
+    if (message.curriculum) {
+        curriculum = new Curriculum();
+        curriculum.stageIndex = message.curriculum.stageIndex;
+        curriculum.scores = message.curriculum.scores;
+    }
+    training = {
+        agent: agent,
+        simulation: simulation,
+        curriculum: curriculum,
+        random: random,
+        renderEvery: message.renderEvery,
+        totalFrames: 0,
+        trials: [],
+        world: null,
+        lastProgress: Date.now(),
+        lastModel: Date.now(),
+        isPaused: false
+    };
+    simulation.reset(Math.floor(random() * 4294967296));
+    run();
+}
+
+/**
+ * Trains for a chunk of time, handing over to the messages of the page in between
+ */
+function run() {
+    if (!training || training.isPaused) {
+        return;
+    }
+    var agent = training.agent, simulation = training.simulation;
+    var start = Date.now();
+    while (Date.now() - start < CHUNK_TIME) {
+        for (var i = 0; i < 100; i++) {
+            if (agent.nextStep(simulation.getObservation()) == actionSet.JUMP) {
+                simulation.jump();
+            }
+            var crashed = simulation.step().crashed;
+            if (++training.totalFrames % training.renderEvery == 0) {
+                training.world = getWorld(simulation);
+            }
+            if (crashed) {
+                endTrial();
+            }
+        }
+    }
+    var now = Date.now();
+    if (now - training.lastProgress >= PROGRESS_TIME) {
+        postProgress(now - training.lastModel >= MODEL_TIME, false);
+    }
+    setTimeout(run, 0);
+}
+
+function endTrial() {
+    var agent = training.agent, simulation = training.simulation;
+    var explorationRate = agent.exploration.getRate(agent.trials);
+    agent.triggerGameOver(simulation.cause);
+    training.trials.push({
+        trial: agent.trials,
+        score: simulation.score,
+        frames: simulation.frames,
+        rules: Object.keys(agent.Q_table).length,
+        explorationRate: explorationRate,
+        cause: simulation.cause
+    });
+    if (training.curriculum && training.curriculum.record(simulation.score)) {
+        training.curriculum.apply(simulation);
+    }
+    simulation.reset(Math.floor(training.random() * 4294967296));
+}
+
+/**
+ * Returns what the page needs to render the given simulation
+ */
+function getWorld(simulation) {
+    return {
+        config: simulation.config,
+        isStatic: simulation.isStatic,
+        birdY: simulation.birdY,
+        birdFrame: simulation.birdFrame,
+        score: simulation.score,
+        frames: simulation.frames,
+        tubes: simulation.tubes.map(function(tube) {
+            return { x: tube.x, y: tube.y };
+        })
+    };
+}
+
+/**
+ * Reports the trials since the last report, the last world taken and, if asked for, the model
+ */
+function postProgress(withModel, isStopped) {
+    var curriculum = training.curriculum;
+    var now = Date.now();
+    postMessage({
+        type: "progress",
+        trials: training.trials,
+        world: training.world,
+        curriculum: curriculum ? { stageIndex: curriculum.stageIndex, scores: curriculum.scores } : null,
+        model: withModel ? createModel(training.agent) : null,
+        isStopped: isStopped
+    });
+    training.trials = [];
+    training.world = null;
+    training.lastProgress = now;
+    if (withModel) {
+        training.lastModel = now;
+    }
+}
+
+onmessage = function(event) {
+    var message = event.data;
+    switch (message.type) {
+        case "start":
+            startTraining(message);
+            break;
+        case "pause":
+            training.isPaused = true;
+            postProgress(true, false);
+            break;
+        case "resume":
+            if (training.isPaused) {
+                training.isPaused = false;
+                run();
+            }
+            break;
+        case "render":
+            training.renderEvery = message.renderEvery;
+            break;
+        case "stop":
+            postProgress(true, true);
+            training = null;
+            close();
+            break;
+    }
+};
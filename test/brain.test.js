@@ -0,0 +1,264 @@
+/**
+ * Tests of the Q-learning agent of js/brain.js: the Q-table, the decisions, the update at the end of an
+ * episode and the episodes themselves
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var Agent = require("../js/brain.js").Agent;
+var actionSet = require("../js/brain.js").actionSet;
+var createRandom = require("../js/random.js").createRandom;
+
+function state(diffY, speedY, tubeX) {
+    return { diffY: diffY, speedY: speedY, tubeX: tubeX };
+}
+
+/**
+ * Returns an observation of the bird facing the given tubes, as by the simulation
+ */
+function observe(birdY, tubes) {
+    return {
+        birdX: 5,
+        birdY: birdY,
+        birdYSpeed: 0,
+        tubeGapCenter: 23,
+        floorY: 28,
+        crashOnBounds: false,
+        tubes: tubes.map(function(x) {
+            return { x: x, y: -8 };
+        })
+    };
+}
+
+/**
+ * Counts the calls to rewardTheBird, while still rewarding the bird
+ */
+function spyOnRewards(agent) {
+    var calls = [], rewardTheBird = agent.rewardTheBird;
+    agent.rewardTheBird = function(wasSuccessful, cause) {
+        calls.push(wasSuccessful);
+        rewardTheBird.call(agent, wasSuccessful, cause);
+    };
+    return calls;
+}
+
+test("getQ reads 0 for the state-action pairs never updated", function() {
+    var agent = new Agent();
+    assert.equal(agent.getQ(state(1, 2, 3), actionSet.JUMP), 0);
+    assert.deepEqual(agent.Q_table, {});
+});
+
+test("setQ adds to the Q-value, keyed by diffY, speedY, tubeX and the action", function() {
+    var agent = new Agent();
+    agent.setQ(state(1, 2, 3), actionSet.JUMP, 5);
+    agent.setQ(state(1, 2, 3), actionSet.JUMP, -2);
+    assert.equal(agent.getQ(state(1, 2, 3), actionSet.JUMP), 3);
+    assert.equal(agent.getQ(state(1, 2, 3), actionSet.STAY), 0);
+    assert.deepEqual(agent.Q_table, { "1,2,3,1": 3 });
+});
+
+test("the states of the same bucket share their Q-values", function() {
+    var agent = new Agent({ encoding: { buckets: { diffY: 3 } } });
+    agent.setQ(state(3, 0, 10), actionSet.STAY, 1);
+    assert.equal(agent.getQ(state(5, 0, 10), actionSet.STAY), 1);
+    assert.equal(agent.getQ(state(6, 0, 10), actionSet.STAY), 0);
+});
+
+test("Double Q-learning estimates the Q-values by the average of both of its tables", function() {
+    var agent = new Agent({ learner: { algorithm: "double-q-learning" } });
+    agent.setQ(state(0, 0, 0), actionSet.JUMP, 4, agent.Q_table);
+    agent.setQ(state(0, 0, 0), actionSet.JUMP, 2, agent.Q_table_B);
+    assert.equal(agent.getQ(state(0, 0, 0), actionSet.JUMP), 3);
+});
+
+test("getAction takes the action of highest Q-value", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    agent.setQ(state(0, 0, 0), actionSet.JUMP, 1);
+    agent.setQ(state(0, 0, 1), actionSet.JUMP, -1);
+    for (var i = 0; i < 100; i++) {
+        assert.equal(agent.getAction(state(0, 0, 0)), actionSet.JUMP);
+        assert.equal(agent.getAction(state(0, 0, 1)), actionSet.STAY);
+        assert.equal(agent.wasExploratory, false);
+    }
+});
+
+test("getAction breaks ties by jumping 1 out of 25 times", function() {
+    var agent = new Agent();
+    agent.random = function() { return 0.25; };
+    assert.equal(agent.getAction(state(0, 0, 0)), actionSet.JUMP);
+    agent.random = function() { return 0.3; };
+    assert.equal(agent.getAction(state(0, 0, 0)), actionSet.STAY);
+
+    agent.random = createRandom(1);
+    var jumps = 0;
+    for (var i = 0; i < 10000; i++) {
+        jumps += agent.getAction(state(0, 0, 0));
+    }
+    assert.ok(jumps > 300 && jumps < 500, jumps + " jumps out of 10000");
+});
+
+test("getAction flags the exploratory actions", function() {
+    var agent = new Agent({
+        random: createRandom(1),
+        exploration: { strategy: "epsilon-greedy", epsilon: 1, minEpsilon: 1 }
+    });
+    agent.setQ(state(0, 0, 0), actionSet.JUMP, 1);
+    var explored = 0;
+    for (var i = 0; i < 1000; i++) {
+        var action = agent.getAction(state(0, 0, 0));
+        assert.equal(agent.wasExploratory, action == actionSet.STAY);
+        explored += agent.wasExploratory ? 1 : 0;
+    }
+    assert.ok(explored > 400 && explored < 600, explored + " exploratory actions out of 1000");
+});
+
+test("rewardTheBird updates the frame buffer backwards, from the most recent pair", function() {
+    // The default agent: Q-learning with alpha 0.1 and gamma 0.8 and the heuristic rewards
+    var agent = new Agent();
+    agent.frameBuffer = [
+        { env: state(2, 0, 10), action: actionSet.JUMP },
+        { env: state(-3, 10, 9), action: actionSet.STAY },
+        { env: state(0, 20, 8), action: actionSet.STAY }
+    ];
+    agent.episodeFrameCount = 3;
+    agent.setQ(state(-3, 10, 9), actionSet.JUMP, -2);
+    agent.rewardTheBird(false);
+
+    // Staying while below the ideal position is penalized by the crash reward less the distance to it,
+    // and the last pair has no future
+    assert.equal(agent.getQ(state(-3, 10, 9), actionSet.STAY), 0.1 * -(100 - 3));
+    // Jumping while above it too, looking ahead to the best Q-value of the next pair, now -2
+    assert.equal(agent.getQ(state(2, 0, 10), actionSet.JUMP), 0.1 * (-(100 - 2) + 0.8 * -2));
+    // The most recent pair is only the future of the others
+    assert.equal(agent.getQ(state(0, 20, 8), actionSet.STAY), 0);
+    // The tail of the buffer is kept for the next episode
+    assert.deepEqual(agent.frameBuffer.map(function(frame) { return frame.env.tubeX; }), [9, 8]);
+    assert.equal(agent.episodeFrameCount, 0);
+});
+
+test("rewardTheBird rewards a cleared tube by its clear reward less the distance to the ideal position", function() {
+    var agent = new Agent();
+    agent.frameBuffer = [
+        { env: state(2, 0, 10), action: actionSet.JUMP },
+        { env: state(0, 10, 9), action: actionSet.STAY }
+    ];
+    agent.episodeFrameCount = 2;
+    agent.rewardTheBird(true);
+    assert.equal(agent.getQ(state(2, 0, 10), actionSet.JUMP), 0.1 * (5 - 2));
+});
+
+test("rewardTheBird updates at least minFrameSize pairs, and no more than the episode otherwise", function() {
+    var agent = new Agent();
+    for (var tubeX = 20; tubeX > 12; tubeX--) {
+        agent.frameBuffer.push({ env: state(0, 0, tubeX), action: actionSet.STAY });
+    }
+    agent.episodeFrameCount = 2;
+    agent.rewardTheBird(true);
+    var updated = Object.keys(agent.Q_table).map(function(key) { return Number(key.split(",")[2]); });
+    assert.deepEqual(updated.sort(), [14, 15, 16, 17, 18]);
+});
+
+test("a frozen agent learns nothing", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    agent.isFrozen = true;
+    agent.nextStep(observe(14, [10, 29]));
+    assert.deepEqual(agent.frameBuffer, []);
+    agent.frameBuffer = [
+        { env: state(2, 0, 10), action: actionSet.JUMP },
+        { env: state(0, 10, 9), action: actionSet.STAY }
+    ];
+    agent.triggerGameOver("bottom-tube");
+    assert.deepEqual(agent.Q_table, {});
+    assert.equal(agent.trials, 0);
+});
+
+test("nextStep ends an episode successfully whenever the target tube changes", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    var calls = spyOnRewards(agent);
+    agent.nextStep(observe(14, [10, 29]));
+    assert.equal(agent.targetTubeIndex, 0);
+    assert.deepEqual(calls, []);
+    // The bird is still within the first tube
+    agent.nextStep(observe(14, [3, 22]));
+    assert.deepEqual(calls, []);
+    // The bird is past it
+    agent.nextStep(observe(14, [1, 20]));
+    assert.equal(agent.targetTubeIndex, 1);
+    assert.deepEqual(calls, [true]);
+    // The first tube came back behind the second one, which the bird is now past
+    agent.nextStep(observe(14, [20, 1]));
+    assert.equal(agent.targetTubeIndex, 0);
+    assert.deepEqual(calls, [true, true]);
+});
+
+test("truncateEpisode ends the episode without rewarding it, the next one starting afresh", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    var calls = spyOnRewards(agent);
+    agent.nextStep(observe(14, [4, 23]));
+    agent.nextStep(observe(14, [3, 22]));
+    agent.truncateEpisode();
+    assert.deepEqual(agent.Q_table, {});
+    assert.deepEqual(agent.frameBuffer, []);
+    assert.equal(agent.trials, 1);
+    // The tubes of the next episode are no cleared tube of the last one
+    agent.nextStep(observe(14, [20, 1]));
+    assert.deepEqual(calls, []);
+});
+
+test("nextStep takes no action while the target tube is far away", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    agent.Q_table["-1,0,40,1"] = 100;
+    assert.equal(agent.nextStep(observe(15, [40, 59])), actionSet.STAY);
+    assert.equal(agent.frameBuffer.length, 0);
+    agent.Q_table["-1,0,30,1"] = 100;
+    assert.equal(agent.nextStep(observe(15, [30, 49])), actionSet.JUMP);
+    assert.equal(agent.frameBuffer.length, 1);
+});
+
+test("triggerGameOver ends the episode unsuccessfully and starts a new trial", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    var calls = spyOnRewards(agent);
+    agent.nextStep(observe(14, [10, 29]));
+    agent.triggerGameOver("bottom-tube");
+    assert.deepEqual(calls, [false]);
+    assert.equal(agent.targetTubeIndex, -1);
+    assert.equal(agent.trials, 1);
+    // The next trial starts with the tubes back at the right, which is no success
+    agent.nextStep(observe(14, [43, 62]));
+    assert.deepEqual(calls, [false]);
+});
+
+test("nextStep records the demonstrated action in place of its own", function() {
+    var agent = new Agent();
+    agent.Q_table["0,0,10,0"] = 100;
+    assert.equal(agent.nextStep(observe(14, [10, 29]), actionSet.JUMP), actionSet.JUMP);
+    assert.equal(agent.frameBuffer[0].action, actionSet.JUMP);
+    assert.equal(agent.getVisits(agent.frameBuffer[0].env, actionSet.JUMP), 1);
+});
+
+test("rewardTheBird keeps the rewards of the episode, and nextStep its last decision, for debugging", function() {
+    var agent = new Agent({ random: createRandom(1) });
+    agent.nextStep(observe(14, [40, 59]));
+    assert.equal(agent.lastDecision, null);
+    agent.Q_table["0,0,10,1"] = 1;
+    agent.nextStep(observe(14, [10, 29]));
+    assert.deepEqual(agent.lastDecision, { state: state(0, 0, 10), values: [0, 1], action: actionSet.JUMP, isExploratory: false });
+    // The values are the ones decided upon, whatever is learnt afterwards
+    agent.Q_table["0,0,10,1"] = -5;
+    assert.deepEqual(agent.lastDecision.values, [0, 1]);
+
+    agent.frameBuffer = [
+        { env: state(2, 0, 10), action: actionSet.JUMP },
+        { env: state(0, 10, 9), action: actionSet.STAY }
+    ];
+    agent.episodeFrameCount = 2;
+    agent.triggerGameOver("top-tube");
+    assert.deepEqual(agent.lastEpisode, {
+        wasSuccessful: false,
+        cause: "top-tube",
+        frames: [
+            { state: state(2, 0, 10), action: actionSet.JUMP, reward: -(100 - 2) },
+            { state: state(0, 10, 9), action: actionSet.STAY, reward: null }
+        ]
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests of the learning curves of js/charts.js, drawn onto a recording canvas
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var drawLearningCurve = require("../js/charts.js").drawLearningCurve;
+var TrainingHistory = require("../js/history.js").TrainingHistory;
+
+function createCanvas() {
+    var texts = [], points = [];
+    var context = {
+        texts: texts,
+        points: points,
+        clearRect: function() {},
+        fillRect: function() {},
+        beginPath: function() {},
+        stroke: function() {},
+        fillText: function(text) { texts.push(text); },
+        moveTo: function(x, y) { points.push([x, y]); },
+        lineTo: function(x, y) { points.push([x, y]); }
+    };
+    return { width: 300, height: 120, getContext: function() { return context; } };
+}
+
+test("the learning curve is drawn past a hundred thousand trials", function() {
+    var history = new TrainingHistory();
+    for (var trial = 1; trial <= 150000; trial++) {
+        history.record({ trial: trial, score: trial % 1000 == 0 ? 42 : trial % 7 });
+    }
+    var canvas = createCanvas();
+    drawLearningCurve(canvas, history, 100);
+    var chart = canvas.getContext();
+    assert.deepEqual(chart.texts, [42, "150000 trials"]);
+    chart.points.forEach(function(point) {
+        assert.ok(isFinite(point[0]) && isFinite(point[1]));
+    });
+});
+
+test("the learning curve of no trial at all is empty", function() {
+    var canvas = createCanvas();
+    drawLearningCurve(canvas, new TrainingHistory(), 100);
+    // Only the axes are drawn
+    assert.deepEqual(canvas.getContext().texts, [1, "0 trials"]);
+    assert.equal(canvas.getContext().points.length, 3);
+});
@@ -0,0 +1,19 @@
+/**
+ * Tests of the state encoder of js/encoding.js
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var StateEncoder = require("../js/encoding.js").StateEncoder;
+
+test("encodings are compatible as long as they form the same keys", function() {
+    var encoder = new StateEncoder({ buckets: { tubeX: 3, nextTubeX: 2 }, features: ["nextTubeX"] });
+    // The buckets of the features toggled off make no difference
+    assert.ok(encoder.isCompatible({ buckets: { tubeX: 3, nextTubeX: 2, birdHeight: 5 }, features: ["nextTubeX"] }));
+    assert.ok(new StateEncoder().isCompatible({ buckets: { nextGapDiffY: 4 } }));
+
+    assert.ok(!encoder.isCompatible({ buckets: { tubeX: 3, nextTubeX: 4 }, features: ["nextTubeX"] }));
+    assert.ok(!encoder.isCompatible({ buckets: { tubeX: 3, nextTubeX: 2 } }));
+    assert.ok(!encoder.isCompatible({ buckets: { tubeX: 3, nextTubeX: 2 }, features: ["nextTubeX", "birdHeight"] }));
+    assert.ok(!encoder.isCompatible({ buckets: { nextTubeX: 2 }, features: ["nextTubeX"] }));
+});
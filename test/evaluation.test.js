@@ -0,0 +1,22 @@
+/**
+ * Tests of the evaluation of js/evaluation.js
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var evaluation = require("../js/evaluation.js");
+var helpers = require("./helpers.js");
+
+test("the evaluation in chunks plays the same episodes as the one at once", function() {
+    var agent = helpers.train({ seed: 2, isStatic: false, trials: 30, targetScore: 100 }).agent;
+    var options = { episodes: 5, seed: 4, isStatic: false, maxFrames: 3000 };
+    var expected = evaluation.evaluateAgent(agent, options);
+    var progress = [];
+    return evaluation.evaluateAgentInChunks(agent, options, function(played) { progress.push(played); }).then(function(report) {
+        assert.deepEqual(report, expected);
+        progress.forEach(function(played) {
+            assert.ok(played > 0 && played < 5, "progress " + played);
+        });
+        assert.equal(agent.isFrozen, false);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Tests of the population of js/evolution.js
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var Population = require("../js/evolution.js").Population;
+
+test("the table birds of a population learn with the options of the agent they come from", function() {
+    var options = {
+        alpha: 0.3,
+        gamma: 0.9,
+        learner: { algorithm: "sarsa" },
+        exploration: { strategy: "epsilon-greedy", epsilon: 0.2 },
+        rewards: { preset: "sparse" }
+    };
+    var population = new Population({ size: 2, policy: "table", agent: options, qTable: { a: 1 } });
+    var bird = population.createAgent(population.genomes[0]);
+    assert.equal(bird.alpha, 0.3);
+    assert.equal(bird.gamma, 0.9);
+    assert.equal(bird.learner.config.algorithm, "sarsa");
+    assert.equal(bird.exploration.config.epsilon, 0.2);
+    assert.equal(bird.rewards.config.preset, "sparse");
+    assert.deepEqual(bird.Q_table, { a: 1 });
+
+    // A network has no Q-table to be evolved
+    population = new Population({ size: 2, policy: "table", agent: { learner: { algorithm: "dqn" } } });
+    assert.equal(population.createAgent(population.genomes[0]).learner.config.algorithm, "q-learning");
+});
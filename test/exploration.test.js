@@ -0,0 +1,27 @@
+/**
+ * Tests of the exploration strategies of js/exploration.js at the edges of their parameters
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var Exploration = require("../js/exploration.js").Exploration;
+var createRandom = require("../js/random.js").createRandom;
+
+test("an exponential decay starting from 0 stays a number", function() {
+    var epsilon = new Exploration({ strategy: "epsilon-greedy", epsilon: 0, minEpsilon: 0.01, decay: "exponential", decayTrials: 100 });
+    assert.equal(epsilon.getRate(0), 0);
+    assert.equal(epsilon.getRate(50), 0.005);
+    assert.equal(epsilon.getRate(1000), 0.01);
+    var softmax = new Exploration({ strategy: "softmax", temperature: 0, minTemperature: 0, decay: "exponential" });
+    assert.equal(softmax.getRate(500), 0);
+});
+
+test("softmax at a temperature of 0 picks the best action", function() {
+    var softmax = new Exploration({ strategy: "softmax", temperature: 0 });
+    assert.deepEqual(softmax.getProbabilities([1, 2], [1, 1], 0), [0, 1]);
+    assert.deepEqual(softmax.getProbabilities([-3, -3], [1, 1], 0), [0.5, 0.5]);
+    var random = createRandom(1);
+    for (var i = 0; i < 100; i++) {
+        assert.equal(softmax.selectAction([5, 4.5], [1, 1], 0, random).action, 0);
+    }
+});
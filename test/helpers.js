@@ -0,0 +1,100 @@
+/**
+ * Helpers shared by the tests: worlds whose tubes are scripted rather than placed by chance, and the
+ * headless game loop of tools/train.js
+ */
+
+var FlappySimulation = require("../js/simulation.js").FlappySimulation;
+var Agent = require("../js/brain.js").Agent;
+var actionSet = require("../js/brain.js").actionSet;
+var createRandom = require("../js/random.js").createRandom;
+
+/**
+ * Creates a simulation whose tubes are placed at the given heights in turn, starting over on every reset
+ * @param {*} heights The y-coordinates of the tubes, in the order they come in
+ * @param {*} options Optional overrides for SIMULATION_DEFAULTS
+ */
+function createScriptedSimulation(heights, options) {
+    var simulation = new FlappySimulation(options);
+    var next = 0, reset = simulation.reset;
+    simulation.setTubeY = function(tube) {
+        tube.y = heights[next++ % heights.length];
+        this.tubeHeights.push(tube.y);
+    };
+    simulation.reset = function(seed) {
+        next = 0;
+        reset.call(this, seed);
+    };
+    simulation.reset();
+    return simulation;
+}
+
+/**
+ * Plays a single episode, the bird being driven by the given policy
+ * @param {*} simulation The simulation, reset beforehand
+ * @param {*} policy Returns whether to jump for an observation
+ * @param {*} maxFrames The episode is cut short after this many frames
+ * @returns {*} The events of every frame, as returned by the step of the simulation
+ */
+function playPolicy(simulation, policy, maxFrames) {
+    var events = [];
+    while (!simulation.isOver && simulation.frames < maxFrames) {
+        if (policy(simulation.getObservation())) {
+            simulation.jump();
+        }
+        events.push(simulation.step());
+    }
+    return events;
+}
+
+/**
+ * Jumps whenever the bird is below the middle of the gap it faces, which is enough to clear any tube
+ */
+function hoverPolicy(observation) {
+    var birdX = observation.birdX;
+    var tube = observation.tubes.filter(function(tube) {
+        return tube.x + 6 > birdX;
+    }).sort(function(a, b) {
+        return a.x - b.x;
+    })[0];
+    return observation.birdY + 1 > tube.y + observation.tubeGapCenter;
+}
+
+/**
+ * Trains an agent as tools/train.js does, until it reaches the target score or runs out of trials
+ * @param {*} options The seed, isStatic, trials and targetScore of the training, plus the options of the
+ * agent
+ * @returns {*} The agent and the score of every trial, as {agent, scores}
+ */
+function train(options) {
+    var random = createRandom(options.seed);
+    var simulation = new FlappySimulation({ isStatic: options.isStatic, random: random });
+    var agent = new Agent({ random: random, learner: options.learner, rewards: options.rewards });
+    var scores = [];
+    for (var trial = 1; trial <= options.trials; trial++) {
+        simulation.reset();
+        while (!simulation.isOver && simulation.score < options.targetScore) {
+            if (agent.nextStep(simulation.getObservation()) == actionSet.JUMP) {
+                simulation.jump();
+            }
+            if (simulation.step().crashed) {
+                agent.triggerGameOver(simulation.cause);
+            }
+        }
+        // The trial was cut short at the score it is capped at
+        if (!simulation.isOver) {
+            agent.truncateEpisode();
+        }
+        scores.push(simulation.score);
+        if (simulation.score >= options.targetScore) {
+            break;
+        }
+    }
+    return { agent: agent, scores: scores };
+}
+
+module.exports = {
+    createScriptedSimulation: createScriptedSimulation,
+    playPolicy: playPolicy,
+    hoverPolicy: hoverPolicy,
+    train: train
+};
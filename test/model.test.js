@@ -0,0 +1,24 @@
+/**
+ * Tests of the models of js/model.js, such as their binary form
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var model = require("../js/model.js");
+
+test("binary models refuse tables of any other name than the ones they store", function() {
+    var buffer = model.encodeBinaryModel({ format: model.MODEL_FORMAT, qTable: { "1,2,3,0": 0.5 }, visits: { "1,2,3,0": 2 } });
+    assert.deepEqual(model.decodeBinaryModel(buffer).qTable, { "1,2,3,0": 0.5 });
+
+    // The header is rewritten with the name of the Q-table replaced
+    var bytes = new Uint8Array(buffer), view = new DataView(buffer);
+    var headerLength = view.getUint32(4, true);
+    var header = Buffer.from(bytes.subarray(8, 8 + headerLength)).toString("utf8");
+    ["__proto__", "visits2", "trials"].forEach(function(name) {
+        var tampered = Buffer.from(header.replace('"name":"qTable"', JSON.stringify({ name: name }).slice(1, -1)), "utf8");
+        var length = Buffer.alloc(4);
+        length.writeUInt32LE(tampered.length);
+        var data = Buffer.concat([Buffer.from(bytes.subarray(0, 4)), length, tampered, Buffer.from(bytes.subarray(8 + headerLength))]);
+        assert.throws(function() { model.decodeBinaryModel(data); }, /Unknown table of the binary model: /, name);
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Tests of the compaction of the Q-tables of js/qtable.js
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var qtable = require("../js/qtable.js");
+var createModel = require("../js/model.js").createModel;
+var Agent = require("../js/brain.js").Agent;
+
+test("the values are quantized to as many decimals as a binary model holds", function() {
+    var agent = new Agent();
+    agent.Q_table = { "1,2,3,0": 0.123456, "1,2,3,1": -2 };
+    var model = createModel(agent);
+    assert.deepEqual(qtable.compactModel(model, { precision: 2 }).model.qTable, { "1,2,3,0": 0.12, "1,2,3,1": -2 });
+    [-1, 1.5, 10, 12].forEach(function(precision) {
+        assert.throws(function() {
+            qtable.compactModel(model, { precision: precision });
+        }, /between 0 and 9/, String(precision));
+    });
+});
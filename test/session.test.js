@@ -0,0 +1,94 @@
+/**
+ * Tests of the sessions of js/session.js: links and presets of the configuration of the page
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var session = require("../js/session.js");
+
+test("a session survives its link and its JSON preset unchanged", function() {
+    var original = session.createSession({
+        environment: "random",
+        physics: { gravity: 0.3, crashOnBounds: true },
+        alpha: 0.2,
+        gamma: 0.9,
+        algorithm: "double-q-learning",
+        rewards: "sparse",
+        rewardParams: { crashReward: -500 },
+        exploration: "epsilon-linear",
+        explorationParams: { epsilon: 0.3, decay: "exponential", decayTrials: 500 },
+        encoding: { buckets: { tubeX: 3, diffY: 6 }, features: ["nextTubeX"] },
+        seed: 42,
+        model: "library:random"
+    });
+    var query = session.writeSessionQuery(original);
+    assert.equal(query, "environment=random&gravity=0.3&crashOnBounds=true&alpha=0.2&gamma=0.9&algorithm=double-q-learning" +
+        "&rewards=sparse&exploration=epsilon-linear&rewards.crashReward=-500&exploration.epsilon=0.3" +
+        "&exploration.decay=exponential&exploration.decayTrials=500&buckets=diffY:6,tubeX:3&features=nextTubeX&seed=42" +
+        "&model=library:random");
+    assert.deepEqual(session.parseSessionQuery("#" + query), original);
+    assert.deepEqual(session.createSession(JSON.parse(JSON.stringify(original))), original);
+    assert.equal(session.getSessionRewards(original).config.crashReward, -500);
+    assert.equal(session.getSessionExploration(original).getRate(500), 0.001);
+});
+
+test("the parameters which the presets decide upon are left out", function() {
+    var preset = session.createSession({
+        rewardParams: { preset: "heuristic", crashReward: 100, theta: 2 },
+        explorationParams: { strategy: "greedy", epsilon: 0.1, c: 2 }
+    });
+    assert.deepEqual(preset.rewardParams, { theta: 2 });
+    assert.deepEqual(preset.explorationParams, { c: 2 });
+});
+
+test("a link holds only the settings which differ from the defaults", function() {
+    assert.equal(session.writeSessionQuery(session.createSession()), "");
+    assert.equal(session.readSessionLink("", ""), null);
+    assert.equal(session.readSessionLink("?", "#"), null);
+    assert.deepEqual(session.parseSessionQuery("seed=7"), session.createSession({ seed: 7 }));
+});
+
+test("the hash of a link wins over its query", function() {
+    var linked = session.readSessionLink("?alpha=0.3&seed=5", "#alpha=0.2&environment=curriculum");
+    assert.equal(linked.alpha, 0.2);
+    assert.equal(linked.seed, 5);
+    assert.equal(linked.environment, "curriculum");
+});
+
+test("the parameters of a link which are no setting are left alone", function() {
+    assert.equal(session.readSessionLink("?utm_source=mail", "#top"), null);
+    assert.equal(session.readSessionLink("", "#constructor"), null);
+    assert.deepEqual(session.readSessionLink("?utm_source=mail&seed=7", "#top"), session.createSession({ seed: 7 }));
+    assert.deepEqual(session.readSessionLink("?utm_source=50%off&seed=7", "#100%"), session.createSession({ seed: 7 }));
+});
+
+test("invalid settings are refused", function() {
+    [
+        "alpha=2",
+        "gamma=x",
+        "gravity=%20",
+        "gravity=",
+        "seed=%E0%A4%A",
+        "seed=1.5",
+        "environment=windy",
+        "algorithm=magic",
+        "rewards=none",
+        "exploration=none",
+        "buckets=tubeX:0",
+        "features=wind",
+        "crashOnBounds=maybe",
+        "debug=yes",
+        "rewards.frameReward=1",
+        "rewards.crashReward=x",
+        "exploration.strategy=ucb",
+        "exploration.decay=wobbly",
+        "exploration.temperature=hot"
+    ].forEach(function(query) {
+        assert.throws(function() {
+            session.parseSessionQuery(query);
+        }, Error, query);
+    });
+    assert.throws(function() {
+        session.createSession({ physics: { gravity: "strong" } });
+    }, /gravity/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests of the headless simulation of js/simulation.js: scoring, crashes and seeded tubes
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var FlappySimulation = require("../js/simulation.js").FlappySimulation;
+var CRASH_CAUSES = require("../js/simulation.js").CRASH_CAUSES;
+var helpers = require("./helpers.js");
+
+function never() {
+    return false;
+}
+
+function always() {
+    return true;
+}
+
+test("the bird scores once per tube, as the right edge of the tube passes it", function() {
+    var simulation = helpers.createScriptedSimulation([-8, -4, -12], { isStatic: false });
+    var config = simulation.config, scoredTubes = [];
+    while (simulation.frames < 2000) {
+        if (helpers.hoverPolicy(simulation.getObservation())) {
+            simulation.jump();
+        }
+        var events = simulation.step();
+        assert.equal(events.crashed, false);
+        if (events.scored) {
+            assert.equal(simulation.tubes[events.scoredTube].x + config.tubeWidth, config.birdX);
+            scoredTubes.push(events.scoredTube);
+        }
+    }
+    assert.equal(simulation.score, scoredTubes.length);
+    assert.ok(simulation.score > 50);
+    scoredTubes.forEach(function(tube, i) {
+        assert.equal(tube, i % 2);
+    });
+});
+
+test("the tubes come back at the scripted heights", function() {
+    var simulation = helpers.createScriptedSimulation([-8, -4, -12], { isStatic: false });
+    helpers.playPolicy(simulation, helpers.hoverPolicy, 500);
+    assert.deepEqual(simulation.tubeHeights.slice(0, 6), [-8, -4, -12, -8, -4, -12]);
+});
+
+test("a bird which never jumps crashes into the bottom tube without scoring", function() {
+    var simulation = new FlappySimulation({ isStatic: true });
+    var events = helpers.playPolicy(simulation, never, 1000);
+    assert.equal(simulation.score, 0);
+    assert.equal(simulation.cause, CRASH_CAUSES.BOTTOM_TUBE);
+    assert.deepEqual(events[events.length - 1], { scored: false, scoredTube: -1, crashed: true, cause: "bottom-tube" });
+});
+
+test("a bird which always jumps crashes into the top tube", function() {
+    var simulation = new FlappySimulation({ isStatic: true });
+    helpers.playPolicy(simulation, always, 1000);
+    assert.equal(simulation.cause, CRASH_CAUSES.TOP_TUBE);
+});
+
+test("the ground and the ceiling are only deadly with crashOnBounds", function() {
+    var simulation = new FlappySimulation({ isStatic: true, crashOnBounds: true });
+    helpers.playPolicy(simulation, never, 1000);
+    assert.equal(simulation.cause, CRASH_CAUSES.GROUND);
+    simulation.reset();
+    helpers.playPolicy(simulation, always, 1000);
+    assert.equal(simulation.cause, CRASH_CAUSES.CEILING);
+});
+
+test("nothing happens once the bird crashed", function() {
+    var simulation = new FlappySimulation({ isStatic: true });
+    helpers.playPolicy(simulation, never, 1000);
+    var frames = simulation.frames;
+    assert.deepEqual(simulation.step(), { scored: false, scoredTube: -1, crashed: false, cause: null });
+    assert.equal(simulation.frames, frames);
+});
+
+test("the same seed places the tubes at the same heights", function() {
+    var simulation = new FlappySimulation({ isStatic: false });
+    simulation.reset(42);
+    helpers.playPolicy(simulation, helpers.hoverPolicy, 1000);
+    var heights = simulation.tubeHeights.slice();
+    simulation.reset(42);
+    helpers.playPolicy(simulation, helpers.hoverPolicy, 1000);
+    assert.deepEqual(simulation.tubeHeights, heights);
+    simulation.reset(43);
+    helpers.playPolicy(simulation, helpers.hoverPolicy, 1000);
+    assert.notDeepEqual(simulation.tubeHeights.slice(0, heights.length), heights);
+});
+
+test("the static environment always places the tubes at the same height", function() {
+    var simulation = new FlappySimulation({ isStatic: true });
+    simulation.reset(7);
+    helpers.playPolicy(simulation, helpers.hoverPolicy, 1000);
+    assert.ok(simulation.tubeHeights.length > 2);
+    simulation.tubeHeights.forEach(function(height) {
+        assert.equal(height, simulation.tubeHeights[0]);
+    });
+});
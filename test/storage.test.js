@@ -0,0 +1,84 @@
+/**
+ * Tests of the model library of js/storage.js, against a local storage kept in memory
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var storage = require("../js/storage.js");
+var createModel = require("../js/model.js").createModel;
+var Agent = require("../js/brain.js").Agent;
+
+/**
+ * Stands in for the local storage of the page, failing every write once full
+ * @param {*} capacity Number of characters it holds, unlimited by default
+ */
+function createLocalStorage(capacity) {
+    var items = {};
+    return {
+        items: items,
+        getItem: function(key) {
+            return key in items ? items[key] : null;
+        },
+        setItem: function(key, value) {
+            var size = String(value).length;
+            for (var other in items) {
+                size += other == key ? 0 : items[other].length;
+            }
+            if (capacity !== undefined && size > capacity) {
+                var error = new Error("The quota has been exceeded");
+                error.name = "QuotaExceededError";
+                throw error;
+            }
+            items[key] = String(value);
+        },
+        removeItem: function(key) {
+            delete items[key];
+        }
+    };
+}
+
+function createAgentModel(rules) {
+    var agent = new Agent();
+    for (var i = 0; i < rules; i++) {
+        agent.Q_table[i + ",0,0,0"] = i;
+    }
+    return createModel(agent);
+}
+
+test("a malformed legacy model rejects its migration and is dropped", function() {
+    global.window = { localStorage: createLocalStorage() };
+    window.localStorage.setItem(storage.LEGACY_MODEL_KEY, "{ not json");
+    return storage.modelLibrary.migrateLegacyModel().then(function() {
+        assert.fail("The migration succeeded");
+    }, function(e) {
+        assert.match(e.message, /not valid JSON/);
+        assert.equal(window.localStorage.getItem(storage.LEGACY_MODEL_KEY), null);
+        assert.deepEqual(storage.modelLibrary.list(), []);
+    });
+});
+
+test("a legacy model is moved into the library", function() {
+    global.window = { localStorage: createLocalStorage() };
+    window.localStorage.setItem(storage.LEGACY_MODEL_KEY, JSON.stringify({ "1,2,3,0": 0.5 }));
+    return storage.modelLibrary.migrateLegacyModel().then(function() {
+        assert.equal(window.localStorage.getItem(storage.LEGACY_MODEL_KEY), null);
+        assert.deepEqual(storage.modelLibrary.list().map(function(entry) { return entry.name; }), ["Saved model"]);
+    });
+});
+
+test("a model is kept when the one overwriting it cannot be written", function() {
+    global.window = { localStorage: createLocalStorage(5000) };
+    var library = storage.modelLibrary;
+    return library.save("model", createAgentModel(1)).then(function() {
+        // Too large for the local storage, and there is no IndexedDB to turn to
+        return library.save("model", createAgentModel(500));
+    }).then(function() {
+        assert.fail("The model was saved");
+    }, function(e) {
+        assert.match(e.message, /IndexedDB is not available/);
+        assert.equal(library.list()[0].rules, 1);
+        return library.load("model");
+    }).then(function(data) {
+        assert.deepEqual(JSON.parse(data).qTable, { "0,0,0,0": 0 });
+    });
+});
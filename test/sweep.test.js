@@ -0,0 +1,27 @@
+/**
+ * Tests of the reports of tools/sweep.js
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var toHTML = require("../tools/sweep.js").toHTML;
+
+test("the chart of runs which never scored stays drawable", function() {
+    var report = {
+        options: { trials: 4, window: 2, env: "static", seeds: [1, 2], threshold: 100 },
+        ranking: [{
+            config: { alpha: 0.1, gamma: 0.8, exploration: "greedy", rewards: "heuristic" },
+            runs: [{ scores: [0, 0, 0, 0] }, { scores: [0, 0, 0, 0] }],
+            reached: 0,
+            trialsToThreshold: 5,
+            finalAverage: 0
+        }]
+    };
+    var html = toHTML(report);
+    var points = html.match(/points="([^"]*)"/)[1].split(" ");
+    assert.equal(points.length, 4);
+    points.forEach(function(point) {
+        assert.doesNotMatch(point, /NaN|Infinity/);
+    });
+    assert.match(html, /up to 1\.0\./);
+});
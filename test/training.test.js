@@ -0,0 +1,51 @@
+/**
+ * End-to-end tests of the training: the agent learns the static environment within a bounded number of
+ * trials, reproducibly from its seed, and the pre-trained legacy model still plays
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var fs = require("fs");
+var path = require("path");
+var Agent = require("../js/brain.js").Agent;
+var model = require("../js/model.js");
+var evaluateAgent = require("../js/evaluation.js").evaluateAgent;
+var helpers = require("./helpers.js");
+
+test("the agent reaches a score of 100 in the static environment within 100 trials", function() {
+    [1, 2, 3, 4, 5].forEach(function(seed) {
+        var result = helpers.train({ seed: seed, isStatic: true, trials: 100, targetScore: 100 });
+        assert.ok(result.scores[result.scores.length - 1] >= 100, "seed " + seed + " stopped at " +
+            Math.max.apply(null, result.scores) + " after " + result.scores.length + " trials");
+    });
+});
+
+test("the same seed trains the very same agent", function() {
+    var first = helpers.train({ seed: 3, isStatic: false, trials: 30, targetScore: 100 });
+    var second = helpers.train({ seed: 3, isStatic: false, trials: 30, targetScore: 100 });
+    assert.deepEqual(second.scores, first.scores);
+    assert.deepEqual(second.agent.Q_table, first.agent.Q_table);
+});
+
+test("the agent learns with every learning algorithm", function() {
+    ["sarsa", "expected-sarsa", "double-q-learning", "n-step", "td-lambda"].forEach(function(algorithm) {
+        var result = helpers.train({ seed: 1, isStatic: true, trials: 300, targetScore: 50, learner: { algorithm: algorithm } });
+        assert.ok(Math.max.apply(null, result.scores) >= 50, algorithm + " only reached " + Math.max.apply(null, result.scores));
+    });
+});
+
+test("the pre-trained legacy model still plays", function() {
+    var data = fs.readFileSync(path.join(__dirname, "..", "model", "qtable-x3-y6.json"), "utf8");
+    var loaded = model.parseModel(data);
+    assert.equal(loaded.format, model.MODEL_FORMAT);
+    assert.equal(Object.keys(loaded.qTable).length, 10005);
+
+    var agent = new Agent({ encoding: loaded.encoding });
+    model.applyModel(agent, loaded);
+    [true, false].forEach(function(isStatic) {
+        var report = evaluateAgent(agent, { episodes: 5, seed: 1, isStatic: isStatic, maxFrames: 3000 });
+        // Every episode lasts until it is cut short
+        assert.equal(report.capped, 5, JSON.stringify(report.scores));
+    });
+    assert.equal(agent.trials, 0);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Bridge between our flappy bird and agents written elsewhere, e.g. in Python. The agent sends messages as
+ * JSON, one per line over stdio or one per WebSocket message, and gets an answer to each of them (see
+ * js/env.js):
+ *
+ * {"type": "describe"}          => {"actions": {...}, "features": [...], "config": {...}}
+ * {"type": "reset", "seed": 1}  => {"observation": {"diffY": ..., "speedY": ..., "tubeX": ...}, "info": {...}}
+ * {"type": "step", "action": 1} => {"observation": {...}, "reward": 0.1, "done": false, "info": {...}}
+ *
+ * The game is either played headless by the bridge itself, each agent in an environment of its own, or in
+ * the page, which connects to the bridge as the game when its player is set to the external agent, every
+ * frame then being rendered at the speed of the game.
+ *
+ * Usage: node tools/bridge.js [--transport websocket|stdio] [--game headless|browser] [--port 8765]
+ *        [--origins http://localhost:8000] [--env static|random] [--env-params tubeGapHeight=10]
+ *        [--features nextTubeX] [--seed 1]
+ */
+
+var readline = require("readline");
+var cli = require("./cli.js");
+var websocket = require("./websocket.js");
+var env = require("../js/env.js");
+var EXTRA_FEATURES = require("../js/encoding.js").EXTRA_FEATURES;
+
+var OPTIONS = {
+    transport: { value: "websocket", help: "How the agent connects, either websocket or stdio" },
+    game: { value: "headless", help: "Where the game is played, either headless by the bridge or in the browser page" },
+    port: { value: 8765, help: "Port of the WebSocket server, which the page connects to at ws://localhost:<port>/game" },
+    host: { value: "127.0.0.1", help: "Interface of the WebSocket server, local connections only by default" },
+    origins: { value: "null", help: "Origins of the pages allowed to connect, e.g. http://localhost:8000, null " +
+        "standing for the page opened as a file" },
+    env: { value: "static", help: "Environment of the headless game, either static or random" },
+    "env-params": { value: "", help: "Parameters of the headless environment, e.g. gravity=0.3,tubeGapHeight=10" },
+    features: { value: "", help: "Extra features of the headless observations, any of: " + EXTRA_FEATURES.join(", ") },
+    seed: { value: null, help: "Seed of the headless episodes reset without one" },
+    "max-frames": { value: env.ENV_DEFAULTS.maxFrames, help: "Cut a headless episode short after this many frames" },
+    "frame-reward": { value: env.ENV_DEFAULTS.frameReward, help: "Reward for every frame survived" },
+    "score-reward": { value: env.ENV_DEFAULTS.scoreReward, help: "Reward for clearing a tube" },
+    "crash-reward": { value: env.ENV_DEFAULTS.crashReward, help: "Reward for crashing" }
+};
+
+// Path the page connects to, as opposed to the agents
+var GAME_PATH = "/game";
+
+function printUsage() {
+    cli.printUsage("node tools/bridge.js [options]", OPTIONS);
+}
+
+function parseArgs(argv) {
+    var args = cli.parseOptions(argv, OPTIONS, function() {
+        printUsage();
+        process.exit(0);
+    });
+    if (args.files.length) {
+        throw new Error("Unknown or incomplete option: " + args.files[0]);
+    }
+    if (args.transport != "websocket" && args.transport != "stdio") {
+        throw new Error("Option --transport expects websocket or stdio, got: " + args.transport);
+    }
+    if (args.game != "headless" && args.game != "browser") {
+        throw new Error("Option --game expects headless or browser, got: " + args.game);
+    }
+    if (args.env != "static" && args.env != "random") {
+        throw new Error("Option --env expects static or random, got: " + args.env);
+    }
+    // The options are checked by setting up an environment
+    new env.FlappyEnv(getEnvOptions(args));
+    return args;
+}
+
+function getEnvOptions(args) {
+    return {
+        isStatic: args.env == "static",
+        simulation: cli.parseParams("env-params", args["env-params"], {}),
+        features: args.features.split(",").filter(Boolean),
+        seed: args.seed,
+        maxFrames: args["max-frames"],
+        frameReward: args["frame-reward"],
+        scoreReward: args["score-reward"],
+        crashReward: args["crash-reward"]
+    };
+}
+
+/**
+ * Returns the function answering the messages of an agent, either from an environment of its own or by
+ * passing them on to the page
+ * @param {*} args The options of the bridge
+ * @param {*} bridge The state of the bridge, holding the page once connected
+ */
+function createAgentHandler(args, bridge) {
+    if (args.game == "browser") {
+        return function(text, reply) {
+            if (!bridge.page) {
+                reply(JSON.stringify({ error: "No game page is connected, set the player of the page to the external agent" }));
+                return;
+            }
+            // The page answers the messages in the order it receives them
+            bridge.pending.push(reply);
+            bridge.page.send(text);
+        };
+    }
+    var environment = new env.FlappyEnv(getEnvOptions(args));
+    return function(text, reply) {
+        var message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            reply(JSON.stringify({ error: "The message is not valid JSON: " + e.message }));
+            return;
+        }
+        reply(JSON.stringify(environment.handle(message)));
+    };
+}
+
+function connectPage(connection, bridge) {
+    if (bridge.page) {
+        bridge.page.close();
+    }
+    bridge.page = connection;
+    bridge.pending = [];
+    console.error("The game page is connected");
+    connection.on("message", function(text) {
+        var reply = bridge.pending.shift();
+        if (reply) {
+            reply(text);
+        }
+    });
+    connection.on("close", function() {
+        if (bridge.page !== connection) {
+            return;
+        }
+        bridge.page = null;
+        bridge.pending.forEach(function(reply) {
+            reply(JSON.stringify({ error: "The game page disconnected" }));
+        });
+        bridge.pending = [];
+        console.error("The game page disconnected");
+    });
+}
+
+function serveStdio(args, bridge) {
+    var handle = createAgentHandler(args, bridge);
+    var lines = readline.createInterface({ input: process.stdin });
+    lines.on("line", function(line) {
+        if (line.trim()) {
+            handle(line, function(answer) {
+                process.stdout.write(answer + "\n");
+            });
+        }
+    });
+    lines.on("close", function() {
+        process.exit(0);
+    });
+}
+
+function bridge(args) {
+    var state = { page: null, pending: [] };
+    var needsServer = args.transport == "websocket" || args.game == "browser";
+    if (needsServer) {
+        websocket.createServer(args.port, args.host, function(connection) {
+            if (connection.request.url.split("?")[0] == GAME_PATH) {
+                connectPage(connection, state);
+                return;
+            }
+            var handle = createAgentHandler(args, state);
+            connection.on("message", function(text) {
+                handle(text, function(answer) {
+                    connection.send(answer);
+                });
+            });
+        }, args.origins.split(",").filter(Boolean)).on("error", function(e) {
+            console.error(e.message);
+            process.exit(1);
+        });
+        console.error("Listening on ws://" + args.host + ":" + args.port + (args.game == "browser" ?
+            ", the page connects to ws://localhost:" + args.port + GAME_PATH : ""));
+    }
+    if (args.transport == "stdio") {
+        serveStdio(args, state);
+    }
+}
+
+try {
+    bridge(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    printUsage();
+    process.exit(1);
+}
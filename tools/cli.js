@@ -0,0 +1,81 @@
+/**
+ * Parsing of the command-line options shared by the tools. Every tool declares
+ * its options as a table of { value, help } keyed by the name of the flag, the
+ * type of the default value deciding whether the flag expects a number or a
+ * string (a null default expects a number).
+ */
+
+/**
+ * Prints the usage of a tool along with its options
+ * @param {*} usage The first line of the usage, e.g. "node tools/train.js [options]"
+ * @param {*} options The options of the tool
+ * @param {*} describeDefault Optional function returning how the default of the
+ * given option should be shown
+ */
+function printUsage(usage, options, describeDefault) {
+    console.log("Usage: " + usage + "\n");
+    for (var name in options) {
+        var defaultValue = describeDefault ? describeDefault(name) : options[name].value;
+        console.log("  --" + name + " (default: " + defaultValue + ")\n      " + options[name].help);
+    }
+}
+
+/**
+ * Parses the command line against the options of a tool. Anything which is not
+ * a flag is collected, in order, into the "files" of the result
+ * @param {*} argv The command line, without the node executable and the script
+ * @param {*} options The options of the tool
+ * @param {*} onHelp Called upon --help or -h, typically printing the usage and exiting
+ * @returns {*} The value of every option keyed by its name, along with the files
+ */
+function parseOptions(argv, options, onHelp) {
+    var args = { files: [] };
+    for (var name in options) {
+        args[name] = options[name].value;
+    }
+    for (var i = 0; i < argv.length; i++) {
+        var flag = argv[i];
+        if (flag == "--help" || flag == "-h") {
+            onHelp();
+            continue;
+        }
+        if (flag.indexOf("--") != 0) {
+            args.files.push(flag);
+            continue;
+        }
+        var name = flag.replace(/^--/, "");
+        if (!(name in options) || i + 1 >= argv.length) {
+            throw new Error("Unknown or incomplete option: " + flag);
+        }
+        var value = argv[++i];
+        args[name] = typeof options[name].value == "string" ? value : Number(value);
+        if (typeof args[name] == "number" && isNaN(args[name])) {
+            throw new Error("Option --" + name + " expects a number, got: " + value);
+        }
+    }
+    return args;
+}
+
+/**
+ * Parses a list such as "tubeX=3,diffY=6" into an object of numbers
+ * @param {*} name The name of the option the list is given by, for the errors
+ * @param {*} list The list, possibly empty
+ * @param {*} into The object to add the parameters to
+ */
+function parseParams(name, list, into) {
+    list.split(",").filter(Boolean).forEach(function(param) {
+        var parts = param.split("=");
+        var value = parts.length == 2 && parts[1].trim() ? Number(parts[1]) : NaN;
+        if (isNaN(value)) {
+            throw new Error("Option --" + name + " expects a list of name=number, got: " + param);
+        }
+        into[parts[0]] = value;
+    });
+    return into;
+}
+
+module.exports = {
+    printUsage: printUsage,
+    parseOptions: parseOptions,
+    parseParams: parseParams
+};
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Command-line evaluation of one or more models (see js/model.js), e.g. to
+ * compare a freshly trained model against the pre-trained one:
+ *
+ * node tools/evaluate.js model.json model/qtable-x3-y6.json --episodes 100
+ *
+ * Every model plays the same batch of seeded episodes with exploration and
+ * learning disabled (see js/evaluation.js), and the score and survival frames of
+ * each are printed side by side.
+ */
+
+var fs = require("fs");
+var cli = require("./cli.js");
+var Agent = require("../js/brain.js").Agent;
+var model = require("../js/model.js");
+var evaluation = require("../js/evaluation.js");
+
+var OPTIONS = {
+    episodes: { value: evaluation.EVALUATION_DEFAULTS.episodes, help: "Number of episodes played by every model" },
+    seed: { value: evaluation.EVALUATION_DEFAULTS.seed, help: "Seed from which the tubes of every episode are placed" },
+    env: { value: "random", help: "Environment, either static or random" },
+    "env-params": { value: "", help: "Parameters of the environment, e.g. gravity=0.3,tubeGapHeight=10,tubeSpeed=2" },
+    "max-frames": { value: evaluation.EVALUATION_DEFAULTS.maxFrames, help: "Cut an episode short after this many frames" },
+    json: { value: "", help: "File to write the full reports to, as JSON" }
+};
+
+function printUsage() {
+    cli.printUsage("node tools/evaluate.js model.json [more models...] [options]", OPTIONS);
+}
+
+function parseArgs(argv) {
+    var args = cli.parseOptions(argv, OPTIONS, function() {
+        printUsage();
+        process.exit(0);
+    });
+    if (!args.files.length) {
+        throw new Error("No model to evaluate");
+    }
+    if (args.env != "static" && args.env != "random") {
+        throw new Error("Option --env expects static or random, got: " + args.env);
+    }
+    return args;
+}
+
+/**
+ * Creates an agent playing the model of the given file
+ */
+function loadAgent(file) {
+    var loaded = model.parseModel(fs.readFileSync(file));
+    var agent = new Agent({ encoding: loaded.encoding });
+    model.applyModel(agent, loaded);
+    return agent;
+}
+
+function evaluate(args) {
+    var reports = args.files.map(function(file) {
+        var report = evaluation.evaluateAgent(loadAgent(file), {
+            episodes: args.episodes,
+            seed: args.seed,
+            isStatic: args.env == "static",
+            maxFrames: args["max-frames"],
+            simulation: cli.parseParams("env-params", args["env-params"], {})
+        });
+        report.model = file;
+        return report;
+    });
+
+    console.log(args.episodes + " episodes in the " + args.env + " environment, seed " + args.seed + "\n");
+    console.log(["model", "mean score", "median score", "max score", "mean frames", "median frames", "max frames", "capped"].join("\t"));
+    reports.forEach(function(report) {
+        console.log([
+            report.model,
+            +report.score.mean.toFixed(2), report.score.median, report.score.max,
+            +report.survivalFrames.mean.toFixed(2), report.survivalFrames.median, report.survivalFrames.max,
+            report.capped
+        ].join("\t"));
+    });
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(reports, null, 2));
+        console.log("\nReports written to " + args.json);
+    }
+}
+
+try {
+    evaluate(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    printUsage();
+    process.exit(1);
+}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Command-line tooling for the Q-tables of our models (see js/qtable.js):
+ *
+ * node tools/qtable.js info model.json
+ *     Prints the number of entries of the model and its size as JSON and in binary form
+ * node tools/qtable.js compact model.json --min-visits 2 --epsilon 0.01 --precision 2 --out model.bin
+ *     Prunes the rarely taken and negligible entries, rounds the values and writes the compacted model,
+ *     in binary form when the output ends with .bin and as JSON otherwise
+ * node tools/qtable.js merge static.json random.json --method visits --out merged.json
+ *     Merges two models trained e.g. in the static and in the random environment into one
+ *
+ * Models are read in either form, hence a compacted model can be evaluated or imported in the page as any
+ * other.
+ */
+
+var fs = require("fs");
+var cli = require("./cli.js");
+var model = require("../js/model.js");
+var qtable = require("../js/qtable.js");
+
+var COMMANDS = ["info", "compact", "merge"];
+
+var OPTIONS = {
+    "min-visits": { value: qtable.COMPACTION_DEFAULTS.minVisits, help: "Prune the entries taken fewer times, as far as the model counted its visits" },
+    epsilon: { value: qtable.COMPACTION_DEFAULTS.epsilon, help: "Prune the entries whose value is at most this far from 0" },
+    precision: { value: qtable.COMPACTION_DEFAULTS.precision, help: "Round the values to this number of decimals, none by default" },
+    method: { value: "average", help: "How merged entries are combined, either " + qtable.MERGE_METHODS.join(" or ") },
+    out: { value: "", help: "File to write the model to, in binary form if it ends with .bin" }
+};
+
+function printUsage() {
+    cli.printUsage("node tools/qtable.js info|compact|merge model.json [second.json] [options]", OPTIONS);
+}
+
+function parseArgs(argv) {
+    var args = cli.parseOptions(argv, OPTIONS, function() {
+        printUsage();
+        process.exit(0);
+    });
+    args.command = args.files.shift();
+    if (COMMANDS.indexOf(args.command) < 0) {
+        throw new Error("Unknown command: " + args.command + ", expected one of " + COMMANDS.join(", "));
+    }
+    var expected = args.command == "merge" ? 2 : 1;
+    if (args.files.length != expected) {
+        throw new Error("The " + args.command + " command expects " + expected + " model" + (expected > 1 ? "s" : "") +
+            ", got " + args.files.length);
+    }
+    if (args.command != "info" && !args.out) {
+        throw new Error("No file to write the model to, see --out");
+    }
+    return args;
+}
+
+function loadModel(file) {
+    return model.parseModel(fs.readFileSync(file));
+}
+
+function writeModel(file, data, precision) {
+    if (/\.bin$/.test(file)) {
+        fs.writeFileSync(file, Buffer.from(model.encodeBinaryModel(data, precision)));
+    } else {
+        fs.writeFileSync(file, JSON.stringify(data));
+    }
+    console.log("Model written to " + file + " (" + formatSize(fs.statSync(file).size) + ")");
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? bytes + " B" : (bytes / 1024).toFixed(1) + " KB";
+}
+
+function printSize(label, size) {
+    console.log(label + "\t" + size.entries + " entries\t" + formatSize(size.jsonSize) + " as JSON\t" +
+        formatSize(size.binarySize) + " in binary form");
+}
+
+function run(args) {
+    var first = loadModel(args.files[0]);
+    switch (args.command) {
+        case "info":
+            printSize(args.files[0], qtable.measureModel(first));
+            break;
+        case "compact":
+            var result = qtable.compactModel(first, {
+                minVisits: args["min-visits"],
+                epsilon: args.epsilon,
+                precision: args.precision
+            });
+            var report = result.report;
+            printSize("before", report.before);
+            printSize("after", report.after);
+            console.log("Pruned " + report.pruned.visits + " rarely taken entries" +
+                (report.hasVisits ? "" : " (the model has no visit counts)") + " and " +
+                report.pruned.negligible + " negligible ones, " + report.changedDecisions + " decisions changed");
+            writeModel(args.out, result.model, args.precision);
+            break;
+        case "merge":
+            var second = loadModel(args.files[1]);
+            var merged = qtable.mergeModels(first, second, args.method);
+            printSize(args.files[0], qtable.measureModel(first));
+            printSize(args.files[1], qtable.measureModel(second));
+            printSize("merged", qtable.measureModel(merged));
+            writeModel(args.out, merged, args.precision);
+            break;
+    }
+}
+
+try {
+    run(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    printUsage();
+    process.exit(1);
+}
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Command-line sweep over the hyperparameters of our flappy bird. Every
+ * configuration, a combination of alpha, gamma, exploration preset and reward
+ * preset, is trained from scratch once per seed without any browser, and the
+ * configurations are ranked by how fast and how well they learnt:
+ * (1) trials to threshold: The first trial reaching the threshold score,
+ * averaged over the seeds, the seeds which never reached it counting as the
+ * number of trials plus one
+ * (2) final average: The average score over the last trials, averaged over the
+ * seeds
+ *
+ * The results are written as a JSON report and as a static HTML page holding the
+ * ranking along with the learning curves of the best configurations.
+ *
+ * Usage: node tools/sweep.js [--mode grid] [--alpha 0.05,0.1,0.2] [--gamma 0.8,0.9]
+ *        [--exploration greedy,epsilon-exponential] [--rewards heuristic,survival]
+ *        [--seeds 1,2,3] [--trials 300] [--threshold 100]
+ *        [--mode random --samples 20 --alpha 0.01:0.5 --gamma 0.5:0.99]
+ */
+
+var fs = require("fs");
+var cli = require("./cli.js");
+var brain = require("../js/brain.js");
+var FlappySimulation = require("../js/simulation.js").FlappySimulation;
+var createRandom = require("../js/random.js").createRandom;
+var exploration = require("../js/exploration.js");
+var rewards = require("../js/rewards.js");
+var learners = require("../js/learners.js");
+var TrainingHistory = require("../js/history.js").TrainingHistory;
+
+var ALGORITHMS = Object.keys(learners.learningAlgorithms);
+
+var OPTIONS = {
+    mode: { value: "grid", help: "Either grid, every combination of the values, or random, a sample of them" },
+    samples: { value: 20, help: "Number of configurations drawn in the random mode" },
+    "sample-seed": { value: 1, help: "Seed the configurations of the random mode are drawn with" },
+    alpha: { value: "0.05,0.1,0.2", help: "Learning rates, as a list or, in the random mode, a range such as 0.01:0.5" },
+    gamma: { value: "0.8,0.9", help: "Discount factors, as a list or, in the random mode, a range such as 0.5:0.99" },
+    exploration: { value: "greedy,epsilon-exponential", help: "Exploration presets, any of: " +
+        Object.keys(exploration.EXPLORATION_PRESETS).join(", ") },
+    rewards: { value: "heuristic", help: "Reward presets, any of: " + Object.keys(rewards.REWARD_PRESETS).join(", ") },
+    algorithm: { value: "q-learning", help: "Learning algorithm shared by every configuration, one of: " + ALGORITHMS.join(", ") },
+    seeds: { value: "1,2,3", help: "Seeds every configuration is trained with" },
+    trials: { value: 300, help: "Number of trials (games) of every run" },
+    threshold: { value: 100, help: "Score a trial must reach for the run to count as having learnt" },
+    window: { value: 50, help: "Number of the last trials the final average score is taken over" },
+    "max-score": { value: 500, help: "Cut a trial short once it reaches this score" },
+    env: { value: "static", help: "Environment, either static or random" },
+    "env-params": { value: "", help: "Parameters of the environment, e.g. gravity=0.3,tubeGapHeight=10,tubeSpeed=2" },
+    out: { value: "sweep.json", help: "File to write the JSON report to" },
+    html: { value: "sweep.html", help: "File to write the HTML report to, none if empty" }
+};
+
+function printUsage() {
+    cli.printUsage("node tools/sweep.js [options]", OPTIONS);
+}
+
+function parseArgs(argv) {
+    var args = cli.parseOptions(argv, OPTIONS, function() {
+        printUsage();
+        process.exit(0);
+    });
+    if (args.files.length) {
+        throw new Error("Unknown or incomplete option: " + args.files[0]);
+    }
+    if (args.mode != "grid" && args.mode != "random") {
+        throw new Error("Option --mode expects grid or random, got: " + args.mode);
+    }
+    if (args.env != "static" && args.env != "random") {
+        throw new Error("Option --env expects static or random, got: " + args.env);
+    }
+    if (ALGORITHMS.indexOf(args.algorithm) < 0) {
+        throw new Error("Option --algorithm expects one of " + ALGORITHMS.join(", ") + ", got: " + args.algorithm);
+    }
+    args.alpha = parseAxis("alpha", args.alpha, args.mode);
+    args.gamma = parseAxis("gamma", args.gamma, args.mode);
+    args.exploration = parseList("exploration", args.exploration, exploration.EXPLORATION_PRESETS);
+    args.rewards = parseList("rewards", args.rewards, rewards.REWARD_PRESETS);
+    if (args.threshold > args["max-score"]) {
+        throw new Error("Option --threshold expects at most the --max-score of " + args["max-score"] + ", got: " + args.threshold);
+    }
+    args.seeds = args.seeds.split(",").filter(Boolean).map(Number);
+    if (!args.seeds.length || args.seeds.some(isNaN)) {
+        throw new Error("Option --seeds expects a list of numbers");
+    }
+    return args;
+}
+
+/**
+ * Parses the values of a numeric hyperparameter, either a list such as
+ * "0.05,0.1" or, in the random mode only, a range such as "0.01:0.5"
+ */
+function parseAxis(name, text, mode) {
+    var bounds = text.split(":");
+    if (bounds.length == 2) {
+        if (mode != "random") {
+            throw new Error("Option --" + name + " can only be a range in the random mode");
+        }
+        var range = { min: Number(bounds[0]), max: Number(bounds[1]) };
+        if (isNaN(range.min) || isNaN(range.max)) {
+            throw new Error("Option --" + name + " expects a range of numbers, got: " + text);
+        }
+        return range;
+    }
+    var values = text.split(",").filter(Boolean).map(Number);
+    if (!values.length || values.some(isNaN)) {
+        throw new Error("Option --" + name + " expects a list of numbers, got: " + text);
+    }
+    return values;
+}
+
+function parseList(name, text, presets) {
+    var values = text.split(",").filter(Boolean);
+    values.forEach(function(value) {
+        if (!(value in presets)) {
+            throw new Error("Option --" + name + " expects any of " + Object.keys(presets).join(", ") + ", got: " + value);
+        }
+    });
+    if (!values.length) {
+        throw new Error("Option --" + name + " expects at least one value");
+    }
+    return values;
+}
+
+/**
+ * Returns the configurations to train, every combination in the grid mode or a
+ * sample of them in the random mode
+ */
+function getConfigurations(args) {
+    if (args.mode == "random") {
+        var random = createRandom(args["sample-seed"]);
+        var draw = function(axis) {
+            if (!Array.isArray(axis)) {
+                return +(axis.min + random() * (axis.max - axis.min)).toPrecision(3);
+            }
+            return axis[Math.floor(random() * axis.length)];
+        };
+        var sample = [];
+        for (var i = 0; i < args.samples; i++) {
+            sample.push({ alpha: draw(args.alpha), gamma: draw(args.gamma), exploration: draw(args.exploration),
+                rewards: draw(args.rewards) });
+        }
+        return sample;
+    }
+    var grid = [];
+    args.alpha.forEach(function(alpha) {
+        args.gamma.forEach(function(gamma) {
+            args.exploration.forEach(function(preset) {
+                args.rewards.forEach(function(rewardPreset) {
+                    grid.push({ alpha: alpha, gamma: gamma, exploration: preset, rewards: rewardPreset });
+                });
+            });
+        });
+    });
+    return grid;
+}
+
+/**
+ * Trains a configuration from scratch with the given seed
+ * @returns {*} The run as {seed, trialsToThreshold, finalAverage, bestScore, scores}
+ */
+function train(args, config, seed) {
+    var random = createRandom(seed);
+    var simulation = new FlappySimulation({ isStatic: args.env == "static", random: random });
+    simulation.configure(cli.parseParams("env-params", args["env-params"], {}));
+    var agent = new brain.Agent({
+        alpha: config.alpha,
+        gamma: config.gamma,
+        exploration: exploration.EXPLORATION_PRESETS[config.exploration],
+        learner: { algorithm: args.algorithm },
+        rewards: { preset: config.rewards },
+        random: random
+    });
+
+    var history = new TrainingHistory();
+    var trialsToThreshold = null;
+    for (var trial = 1; trial <= args.trials; trial++) {
+        var explorationRate = agent.exploration.getRate(agent.trials);
+        simulation.reset();
+        while (!simulation.isOver && simulation.score < args["max-score"]) {
+            if (agent.nextStep(simulation.getObservation()) == brain.actionSet.JUMP) {
+                simulation.jump();
+            }
+            if (simulation.step().crashed) {
+                agent.triggerGameOver(simulation.cause);
+            }
+        }
+        // The trial was cut short at the score it is capped at
+        if (!simulation.isOver) {
+            agent.truncateEpisode();
+        }
+        history.record({ trial: trial, score: simulation.score, frames: simulation.frames,
+            rules: Object.keys(agent.Q_table).length, explorationRate: explorationRate, cause: simulation.cause });
+        if (trialsToThreshold === null && simulation.score >= args.threshold) {
+            trialsToThreshold = trial;
+        }
+    }
+    var scores = history.entries.map(function(entry) { return entry.score; });
+    return {
+        seed: seed,
+        trialsToThreshold: trialsToThreshold,
+        finalAverage: mean(scores.slice(-args.window)),
+        bestScore: Math.max.apply(null, scores),
+        scores: scores
+    };
+}
+
+/**
+ * Summarizes the runs of a configuration over the seeds
+ */
+function summarize(args, config, runs) {
+    return {
+        config: config,
+        reached: runs.filter(function(run) { return run.trialsToThreshold !== null; }).length,
+        trialsToThreshold: mean(runs.map(function(run) {
+            return run.trialsToThreshold === null ? args.trials + 1 : run.trialsToThreshold;
+        })),
+        finalAverage: mean(runs.map(function(run) { return run.finalAverage; })),
+        runs: runs
+    };
+}
+
+/**
+ * Ranks the configurations, the ones reaching the threshold with the most seeds
+ * first, then the fastest, then the ones scoring the most at the end
+ */
+function rank(results) {
+    return results.slice().sort(function(a, b) {
+        return (b.reached - a.reached) || (a.trialsToThreshold - b.trialsToThreshold) ||
+            (b.finalAverage - a.finalAverage);
+    });
+}
+
+function describe(config) {
+    return "alpha " + config.alpha + ", gamma " + config.gamma + ", " + config.exploration + ", " + config.rewards;
+}
+
+function mean(values) {
+    return values.reduce(function(sum, value) { return sum + value; }, 0) / (values.length || 1);
+}
+
+/**
+ * Returns a static HTML page with the ranking and the learning curves, as the
+ * moving average of the score averaged over the seeds, of the best configurations
+ */
+function toHTML(report) {
+    var escape = function(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    };
+    var colors = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4"];
+    var width = 640, height = 240, trials = report.options.trials;
+    var curves = report.ranking.slice(0, colors.length).map(function(result) {
+        var averages = result.runs.map(function(run) {
+            var history = new TrainingHistory();
+            run.scores.forEach(function(score, i) { history.record({ trial: i + 1, score: score }); });
+            return history.movingAverage("score", report.options.window);
+        });
+        return averages[0].map(function(value, i) {
+            return mean(averages.map(function(average) { return average[i]; }));
+        });
+    });
+    // The chart reaches up to a score of 1 at least, for the curves of runs which never scored
+    var top = Math.max.apply(null, [1].concat.apply([1], curves));
+    var lines = curves.map(function(curve, c) {
+        var points = curve.map(function(value, i) {
+            return (i / Math.max(1, trials - 1) * width).toFixed(1) + "," + (height - value / top * height).toFixed(1);
+        });
+        return '<polyline fill="none" stroke="' + colors[c] + '" stroke-width="1.5" points="' + points.join(" ") + '"/>';
+    });
+    var rows = report.ranking.map(function(result, i) {
+        var color = i < colors.length ? ' style="color: ' + colors[i] + '"' : "";
+        return "<tr" + color + "><td>" + (i + 1) + "</td><td>" + escape(describe(result.config)) + "</td><td>" +
+            result.reached + " / " + result.runs.length + "</td><td>" + result.trialsToThreshold.toFixed(1) +
+            "</td><td>" + result.finalAverage.toFixed(2) + "</td></tr>";
+    });
+    return [
+        "<!DOCTYPE html>",
+        '<html><head><meta charset="utf-8"><title>Flappy bird hyperparameter sweep</title>',
+        "<style>body { font-family: sans-serif; } td, th { padding: 2px 8px; text-align: left; } svg { border: 1px solid #ccc; }</style>",
+        "</head><body>",
+        "<h1>Hyperparameter sweep</h1>",
+        "<p>" + report.ranking.length + " configurations trained " + report.options.trials + " trials each in the " +
+            escape(report.options.env) + " environment with the seeds " + report.options.seeds.join(", ") +
+            ". Threshold score " + report.options.threshold + ", final average over the last " +
+            report.options.window + " trials.</p>",
+        "<h2>Learning curves of the best configurations</h2>",
+        '<svg width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + " " + height + '">',
+        lines.join("\n"),
+        "</svg>",
+        "<p>Moving average of the score over " + report.options.window + " trials, averaged over the seeds, up to " +
+            top.toFixed(1) + ".</p>",
+        "<h2>Ranking</h2>",
+        "<table><tr><th>#</th><th>Configuration</th><th>Reached threshold</th><th>Trials to threshold</th><th>Final average</th></tr>",
+        rows.join("\n"),
+        "</table>",
+        "</body></html>"
+    ].join("\n");
+}
+
+function sweep(args) {
+    var configs = getConfigurations(args);
+    var results = configs.map(function(config, c) {
+        var runs = args.seeds.map(function(seed) {
+            return train(args, config, seed);
+        });
+        var result = summarize(args, config, runs);
+        console.log("[" + (c + 1) + "/" + configs.length + "] " + describe(config) + "\treached: " + result.reached +
+            "/" + runs.length + "\ttrials to threshold: " + result.trialsToThreshold.toFixed(1) +
+            "\tfinal average: " + result.finalAverage.toFixed(2));
+        return result;
+    });
+
+    var options = {};
+    for (var name in OPTIONS) {
+        options[name] = args[name];
+    }
+    var report = { options: options, ranking: rank(results) };
+    console.log("\nBest configuration: " + describe(report.ranking[0].config));
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log("Report of " + results.length + " configurations written to " + args.out);
+    if (args.html) {
+        fs.writeFileSync(args.html, toHTML(report));
+        console.log("HTML report written to " + args.html);
+    }
+}
+
+if (require.main === module) {
+    try {
+        sweep(parseArgs(process.argv.slice(2)));
+    } catch (e) {
+        console.error(e.message);
+        printUsage();
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    toHTML: toHTML
+};
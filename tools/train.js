@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Command-line trainer for our flappy bird. It runs the Q-learning model of
+ * js/brain.js against the headless simulation of js/simulation.js, without any
+ * browser, and writes the learnt model (see js/model.js) to a JSON file which can
+ * be loaded back in the page with "Import model from file".
+ *
+ * Usage: node tools/train.js [--trials 1000] [--target-score 1000] [--alpha 0.1]
+ *        [--gamma 0.8] [--env static|random|curriculum] [--seed 1] [--out model.json]
+ *        [--env-params gravity=0.3,tubeGapHeight=10]
+ *        [--algorithm sarsa] [--lambda 0.8] [--n-step 3]
+ *        [--algorithm dqn] [--hidden 16,16] [--network-params learningRate=0.001]
+ *        [--buckets tubeX=3,diffY=6] [--features nextTubeX,birdHeight]
+ *        [--rewards sparse] [--reward-params crashReward=-500,minFrameSize=8]
+ *        [--exploration epsilon-linear] [--epsilon 0.1] [--decay-trials 1000] ...
+ */
+
+var fs = require("fs");
+var cli = require("./cli.js");
+var brain = require("../js/brain.js");
+var FlappySimulation = require("../js/simulation.js").FlappySimulation;
+var createRandom = require("../js/random.js").createRandom;
+var exploration = require("../js/exploration.js");
+var learners = require("../js/learners.js");
+var dqn = require("../js/dqn.js");
+var encoding = require("../js/encoding.js");
+var rewards = require("../js/rewards.js");
+var model = require("../js/model.js");
+var TrainingHistory = require("../js/history.js").TrainingHistory;
+var Curriculum = require("../js/curriculum.js").Curriculum;
+
+var ALGORITHMS = Object.keys(learners.learningAlgorithms);
+
+var OPTIONS = {
+    trials: { value: 1000, help: "Maximum number of trials (games) to train for" },
+    "target-score": { value: 1000, help: "Stop training as soon as a trial reaches this score" },
+    alpha: { value: 0.1, help: "Learning rate" },
+    gamma: { value: 0.8, help: "Discount factor" },
+    env: { value: "static", help: "Environment, either static, random or curriculum" },
+    "env-params": { value: "", help: "Parameters of the environment, e.g. gravity=0.3,tubeGapHeight=10,tubeSpeed=2" },
+    seed: { value: null, help: "Seed for the tubes and the random decisions of the bird" },
+    out: { value: "model.json", help: "File to write the learnt model to" },
+    history: { value: "", help: "File to write the per-trial history to, as CSV" },
+    "log-every": { value: 100, help: "Print the progress every given number of trials" },
+    algorithm: { value: "q-learning", help: "Learning algorithm, one of: " + ALGORITHMS.join(", ") },
+    lambda: { value: learners.LEARNER_DEFAULTS.lambda, help: "Trace decay of td-lambda" },
+    "n-step": { value: learners.LEARNER_DEFAULTS.n, help: "Number of frames looked ahead by n-step" },
+    hidden: { value: dqn.DQN_DEFAULTS.hidden.join(","), help: "Units of every hidden layer of the dqn network" },
+    "network-params": { value: "", help: "Parameters of the dqn network, e.g. learningRate=0.001,batchSize=32,targetUpdate=100" },
+    buckets: { value: "", help: "Bucket sizes of the state features, e.g. speedY=10,tubeX=3,diffY=6" },
+    features: { value: "", help: "Extra state features, any of: " + encoding.EXTRA_FEATURES.join(", ") },
+    rewards: { value: "heuristic", help: "Reward function, one of: " + Object.keys(rewards.REWARD_PRESETS).join(", ") },
+    "reward-params": { value: "", help: "Parameters of the reward function, e.g. crashReward=-500,minFrameSize=8" },
+    exploration: { value: "greedy", help: "Exploration strategy, one of: " + Object.keys(exploration.EXPLORATION_PRESETS).join(", ") },
+    epsilon: { value: null, help: "Initial probability of a random action for epsilon-greedy" },
+    "min-epsilon": { value: null, help: "Final probability of a random action for epsilon-greedy" },
+    temperature: { value: null, help: "Initial temperature for softmax" },
+    "min-temperature": { value: null, help: "Final temperature for softmax" },
+    decay: { value: "", help: "Decay of epsilon or the temperature: none, linear or exponential" },
+    "decay-trials": { value: null, help: "Number of trials over which epsilon or the temperature decays" },
+    "ucb-c": { value: null, help: "Weight of the exploration bonus for UCB" }
+};
+
+// Maps the options of the command line onto the parameters of js/exploration.js
+var EXPLORATION_OPTIONS = {
+    epsilon: "epsilon",
+    "min-epsilon": "minEpsilon",
+    temperature: "temperature",
+    "min-temperature": "minTemperature",
+    decay: "decay",
+    "decay-trials": "decayTrials",
+    "ucb-c": "c"
+};
+
+function printUsage() {
+    cli.printUsage("node tools/train.js [options]", OPTIONS, function(name) {
+        return (name in EXPLORATION_OPTIONS) ? "from the preset" : OPTIONS[name].value;
+    });
+}
+
+function parseArgs(argv) {
+    var args = cli.parseOptions(argv, OPTIONS, function() {
+        printUsage();
+        process.exit(0);
+    });
+    if (args.files.length) {
+        throw new Error("Unknown or incomplete option: " + args.files[0]);
+    }
+    if (["static", "random", "curriculum"].indexOf(args.env) < 0) {
+        throw new Error("Option --env expects static, random or curriculum, got: " + args.env);
+    }
+    if (ALGORITHMS.indexOf(args.algorithm) < 0) {
+        throw new Error("Option --algorithm expects one of " + ALGORITHMS.join(", ") + ", got: " + args.algorithm);
+    }
+    if (!(args.exploration in exploration.EXPLORATION_PRESETS)) {
+        throw new Error("Option --exploration expects one of " +
+            Object.keys(exploration.EXPLORATION_PRESETS).join(", ") + ", got: " + args.exploration);
+    }
+    return args;
+}
+
+function getLearnerConfig(args) {
+    var network = cli.parseParams("network-params", args["network-params"], {});
+    network.hidden = args.hidden.split(",").filter(Boolean).map(Number);
+    return { algorithm: args.algorithm, lambda: args.lambda, n: args["n-step"], network: network };
+}
+
+function getEncodingConfig(args) {
+    return { buckets: cli.parseParams("buckets", args.buckets, {}), features: args.features.split(",").filter(Boolean) };
+}
+
+function getRewardsConfig(args) {
+    return cli.parseParams("reward-params", args["reward-params"], { preset: args.rewards });
+}
+
+function getExplorationConfig(args) {
+    var config = {};
+    var preset = exploration.EXPLORATION_PRESETS[args.exploration];
+    for (var key in preset) {
+        config[key] = preset[key];
+    }
+    for (var name in EXPLORATION_OPTIONS) {
+        if (args[name] !== null && args[name] !== "") {
+            config[EXPLORATION_OPTIONS[name]] = args[name];
+        }
+    }
+    return config;
+}
+
+function train(args) {
+    var random = args.seed === null ? null : createRandom(args.seed);
+    var simulation = new FlappySimulation({ isStatic: args.env != "random", random: random || Math.random });
+    simulation.configure(cli.parseParams("env-params", args["env-params"], {}));
+    var curriculum = args.env == "curriculum" ? new Curriculum() : null;
+    if (curriculum) {
+        curriculum.apply(simulation);
+    }
+    var agent = new brain.Agent({
+        alpha: args.alpha,
+        gamma: args.gamma,
+        exploration: getExplorationConfig(args),
+        learner: getLearnerConfig(args),
+        encoding: getEncodingConfig(args),
+        rewards: getRewardsConfig(args),
+        random: random || Math.random
+    });
+
+    var history = new TrainingHistory();
+    var bestScore = 0;
+    for (var trial = 1; trial <= args.trials; trial++) {
+        var explorationRate = agent.exploration.getRate(agent.trials);
+        simulation.reset();
+        while (!simulation.isOver && simulation.score < args["target-score"]) {
+            if (agent.nextStep(simulation.getObservation()) == brain.actionSet.JUMP) {
+                simulation.jump();
+            }
+            if (simulation.step().crashed) {
+                agent.triggerGameOver(simulation.cause);
+            }
+        }
+        // The trial was cut short at the score it is capped at
+        if (!simulation.isOver) {
+            agent.truncateEpisode();
+        }
+        history.record({
+            trial: trial,
+            score: simulation.score,
+            frames: simulation.frames,
+            rules: Object.keys(agent.Q_table).length,
+            explorationRate: explorationRate,
+            cause: simulation.cause
+        });
+        var isNewBest = simulation.score > bestScore;
+        bestScore = Math.max(bestScore, simulation.score);
+        if (isNewBest || trial % args["log-every"] == 0 || simulation.score >= args["target-score"]) {
+            console.log("trials: " + trial + "\trules learnt: " + Object.keys(agent.Q_table).length +
+                "\tscore: " + simulation.score + "\tbest score: " + bestScore +
+                "\texploration rate: " + +agent.exploration.getRate(agent.trials).toFixed(4));
+        }
+        if (curriculum && curriculum.record(simulation.score)) {
+            curriculum.apply(simulation);
+            console.log("Moving on to the " + curriculum.getStage().name + " stage of the curriculum after " + trial + " trials");
+        }
+        // With a curriculum, the target score only counts in its last stage
+        var isLastStage = !curriculum || curriculum.stageIndex == curriculum.config.stages.length - 1;
+        if (simulation.score >= args["target-score"] && isLastStage) {
+            console.log("Target score of " + args["target-score"] + " reached after " + trial + " trials");
+            break;
+        }
+    }
+
+    fs.writeFileSync(args.out, JSON.stringify(model.createModel(agent, { bestScore: bestScore })));
+    console.log("Model with " + Object.keys(agent.Q_table).length + " rules written to " + args.out);
+    if (args.history) {
+        fs.writeFileSync(args.history, history.toCSV());
+        console.log("History of " + history.entries.length + " trials written to " + args.history);
+    }
+}
+
+try {
+    train(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    printUsage();
+    process.exit(1);
+}
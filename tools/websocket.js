@@ -0,0 +1,185 @@
+/**
+ * A minimal WebSocket server (RFC 6455), just enough for the bridge of tools/bridge.js to talk to local
+ * agents and to the page without any dependency: text messages only, without extensions. Every connection
+ * emits "message" with the text of each message received and "close" once closed.
+ */
+
+var http = require("http");
+var crypto = require("crypto");
+var EventEmitter = require("events").EventEmitter;
+
+// Appended to the key of the handshake before hashing it, as fixed by the protocol
+var HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+var OPCODES = { CONTINUATION: 0, TEXT: 1, BINARY: 2, CLOSE: 8, PING: 9, PONG: 10 };
+
+/**
+ * Wraps the socket of an upgraded HTTP request
+ * @param {*} socket The socket, past the handshake
+ * @param {*} request The HTTP request which was upgraded, e.g. to look at its path
+ */
+function WebSocketConnection(socket, request) {
+    EventEmitter.call(this);
+    var self = this;
+    this.socket = socket;
+    this.request = request;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.isClosed = false;
+    socket.on("data", function(data) {
+        self.buffer = Buffer.concat([self.buffer, data]);
+        var frame;
+        while (!self.isClosed && (frame = self.readFrame())) {
+            self.handleFrame(frame);
+        }
+    });
+    socket.on("close", function() {
+        self.isClosed = true;
+        self.emit("close");
+    });
+    socket.on("error", function() {
+        socket.destroy();
+    });
+}
+
+WebSocketConnection.prototype = Object.create(EventEmitter.prototype);
+
+/**
+ * Reads the next frame from the buffer, if it was fully received
+ * @returns {*} The frame as {fin, opcode, payload}, or null
+ */
+WebSocketConnection.prototype.readFrame = function() {
+    var buffer = this.buffer;
+    if (buffer.length < 2) {
+        return null;
+    }
+    var length = buffer[1] & 0x7f, offset = 2;
+    if (length == 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length == 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    var isMasked = (buffer[1] & 0x80) != 0;
+    var mask = isMasked ? buffer.slice(offset, offset + 4) : null;
+    offset += isMasked ? 4 : 0;
+    if (buffer.length < offset + length) {
+        return null;
+    }
+    var payload = Buffer.from(buffer.slice(offset, offset + length));
+    for (var i = 0; mask && i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.slice(offset + length);
+    return { fin: (buffer[0] & 0x80) != 0, opcode: buffer[0] & 0x0f, payload: payload };
+};
+
+WebSocketConnection.prototype.handleFrame = function(frame) {
+    switch (frame.opcode) {
+        case OPCODES.TEXT:
+        case OPCODES.BINARY:
+        case OPCODES.CONTINUATION:
+            // A message may be split over several frames, the last one being flagged as final
+            this.fragments.push(frame.payload);
+            if (frame.fin) {
+                var text = Buffer.concat(this.fragments).toString("utf8");
+                this.fragments = [];
+                this.emit("message", text);
+            }
+            break;
+        case OPCODES.PING:
+            this.writeFrame(OPCODES.PONG, frame.payload);
+            break;
+        case OPCODES.CLOSE:
+            this.close();
+            break;
+    }
+};
+
+WebSocketConnection.prototype.writeFrame = function(opcode, payload) {
+    var header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+};
+
+/**
+ * Sends a text message
+ * @param {*} text The message
+ */
+WebSocketConnection.prototype.send = function(text) {
+    if (!this.isClosed) {
+        this.writeFrame(OPCODES.TEXT, Buffer.from(text, "utf8"));
+    }
+};
+
+/**
+ * Closes the connection, letting the other side know
+ */
+WebSocketConnection.prototype.close = function() {
+    if (!this.isClosed) {
+        this.isClosed = true;
+        this.writeFrame(OPCODES.CLOSE, Buffer.alloc(0));
+        this.socket.end();
+    }
+};
+
+/**
+ * Starts listening for WebSocket connections, plain HTTP requests being turned down. Browsers let any page
+ * connect to a local server, hence connections from a page, which the browser tells by their Origin, are
+ * turned down unless its origin is allowed. Other clients, such as the agents, send no Origin
+ * @param {*} port The port to listen on
+ * @param {*} host The interface to listen on, e.g. 127.0.0.1 to only accept local connections
+ * @param {*} onConnection Called with every new connection
+ * @param {*} origins The origins of the pages allowed to connect, e.g. http://localhost:8000 or null for a
+ * page opened as a file, none by default
+ * @returns {*} The HTTP server
+ */
+function createServer(port, host, onConnection, origins) {
+    origins = origins || [];
+    var server = http.createServer(function(request, response) {
+        response.writeHead(426, { "Content-Type": "text/plain" });
+        response.end("This server only speaks WebSocket\n");
+    });
+    server.on("upgrade", function(request, socket) {
+        var key = request.headers["sec-websocket-key"];
+        if (!key || String(request.headers.upgrade).toLowerCase() != "websocket") {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        var origin = request.headers.origin;
+        if (origin !== undefined && origins.indexOf(origin) < 0) {
+            socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+            return;
+        }
+        var accept = crypto.createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+        socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+            "Sec-WebSocket-Accept: " + accept + "\r\n\r\n");
+        onConnection(new WebSocketConnection(socket, request));
+    });
+    server.listen(port, host);
+    return server;
+}
+
+module.exports = {
+    createServer: createServer,
+    WebSocketConnection: WebSocketConnection
+};